@@ -9,7 +9,12 @@
   // Configuration
   const CONFIG = {
     MAX_HOME_EVENTS: 3,     // Number of upcoming events to show on homepage
-    EVENTS_JSON_PATH: '/public/events.json'
+    EVENTS_JSON_PATH: '/public/events.json',
+    EVENTS_SCHEMA_VERSION: 1,  // events.json format this script understands (public/events.schema.json)
+    SITE_URL: 'https://coimbratech.org',
+    TIMEZONE: 'Europe/Lisbon',  // Events happen in Coimbra
+    EVENT_DURATION_MINUTES: 120,  // Assumed duration for "Add to calendar" (matches the .ics feeds)
+    VIEW_STORAGE_KEY: 'preferred-events-view'  // "list" or "calendar" on the events page
   };
 
   // i18n strings
@@ -18,19 +23,65 @@
       noUpcoming: 'Ainda não há eventos marcados. Junta-te ao WhatsApp para saber quando abrirem novas datas.',
       noPast: 'Ainda sem arquivo',
       details: 'Ver detalhes / RSVP',
+      moreInfo: 'Sobre o evento',
+      speakers: 'Oradores',
+      viewMap: 'Ver no mapa',
       comingSoon: 'Brevemente',
       organizerCTA: 'Organizas eventos em Coimbra?',
       organizerCTAText: 'Entra em contacto connosco para partilhares o teu evento na nossa comunidade.',
-      organizerCTAButton: 'Contactar'
+      organizerCTAButton: 'Contactar',
+      addToCalendar: 'Adicionar ao calendário',
+      downloadIcs: 'Apple / Outlook (.ics)',
+      googleCalendar: 'Google Calendar',
+      outlookCalendar: 'Outlook.com',
+      backToEvents: '← Todos os eventos',
+      noMatches: 'Nenhum evento corresponde aos filtros escolhidos.',
+      prevMonth: 'Mês anterior',
+      nextMonth: 'Mês seguinte',
+      today: 'Hoje',
+      eventSingular: 'evento',
+      eventPlural: 'eventos',
+      localTime: 'na tua hora',
+      happeningNow: 'A decorrer',
+      statusCancelled: 'Cancelado',
+      statusPostponed: 'Adiado',
+      statusRescheduled: 'Nova data',
+      noteCancelled: 'Este evento foi cancelado.',
+      notePostponed: 'Este evento foi adiado. A nova data será anunciada em breve.',
+      noteRescheduled: 'Este evento mudou de data.',
+      noteRescheduledFrom: 'Este evento mudou de data (estava marcado para {date}).'
     },
     en: {
       noUpcoming: 'No upcoming events right now. Join the WhatsApp group to stay tuned.',
       noPast: 'No past events yet',
       details: 'View details / RSVP',
+      moreInfo: 'About this event',
+      speakers: 'Speakers',
+      viewMap: 'View on map',
       comingSoon: 'Coming soon',
       organizerCTA: 'Organizing events in Coimbra?',
       organizerCTAText: 'Get in touch with us to share your event with our community.',
-      organizerCTAButton: 'Get in touch'
+      organizerCTAButton: 'Get in touch',
+      addToCalendar: 'Add to calendar',
+      downloadIcs: 'Apple / Outlook (.ics)',
+      googleCalendar: 'Google Calendar',
+      outlookCalendar: 'Outlook.com',
+      backToEvents: '← All events',
+      noMatches: 'No events match the selected filters.',
+      prevMonth: 'Previous month',
+      nextMonth: 'Next month',
+      today: 'Today',
+      eventSingular: 'event',
+      eventPlural: 'events',
+      localTime: 'your time',
+      happeningNow: 'Happening now',
+      statusCancelled: 'Cancelled',
+      statusPostponed: 'Postponed',
+      statusRescheduled: 'Rescheduled',
+      noteCancelled: 'This event has been cancelled.',
+      notePostponed: 'This event has been postponed. The new date will be announced soon.',
+      noteRescheduled: 'This event has a new date.',
+      noteRescheduledFrom: 'This event has a new date (it was scheduled for {date}).'
     }
   };
 
@@ -59,6 +110,14 @@
     });
   }
 
+  /**
+   * Intl locales for the site languages
+   */
+  const LOCALES = {
+    pt: 'pt-PT',
+    en: 'en-GB'
+  };
+
   /**
    * Get first value from array or null
    */
@@ -66,36 +125,183 @@
     return Array.isArray(arr) && arr.length > 0 ? arr[0] : null;
   }
 
+  /**
+   * Escape text for use in HTML content and attributes
+   */
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Turn a string into a lowercase, dash-separated slug
+   */
+  function slugify(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Calendar date (YYYY-MM-DD) of an ISO date-time in the events' timezone
+   */
+  function localDateKey(dateISO) {
+    return new Date(dateISO).toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE });
+  }
+
+  /**
+   * Stable slug for an event's detail page, derived from name + date
+   * (e.g. "coimbra-tech-afterhours-01-2025-11-06")
+   */
+  function eventSlug(name, dateISO) {
+    const base = slugify(name) || 'event';
+    return dateISO ? `${base}-${localDateKey(dateISO)}` : base;
+  }
+
+  /**
+   * Notion statuses the site derives from the event dates itself
+   */
+  const DERIVED_STATUSES = ['', 'Upcoming', 'Ongoing', 'Past'];
+
+  /**
+   * Manual Notion statuses shown on the event (badge, note, schema.org status).
+   * These events are still listed as upcoming/past by date (postponed ones stay
+   * upcoming); any other unknown status (e.g. "Draft") keeps the event out of the lists.
+   */
+  const STATUS_OVERRIDES = {
+    Cancelled: { schema: 'https://schema.org/EventCancelled', ics: 'CANCELLED' },
+    Postponed: { schema: 'https://schema.org/EventPostponed', ics: 'TENTATIVE' },
+    Rescheduled: { schema: 'https://schema.org/EventRescheduled', ics: 'CONFIRMED' }
+  };
+
+  /**
+   * Published location visibilities (hidden venues have no location at all)
+   */
+  const LOCATION_VISIBILITIES = ['neighbourhood', 'full'];
+
+  /**
+   * Where an event is in time: 'upcoming', 'today' (later today in Lisbon),
+   * 'now' (started but not ended) or 'past' (null without a valid date)
+   */
+  function eventTiming(event, now) {
+    const { start, end } = eventTimes(event);
+    if (Number.isNaN(start.getTime())) return null;
+    if (now >= end) return 'past';
+    if (now >= start) return 'now';
+    if (localDateKey(event.dateISO) === localDateKey(now.toISOString())) return 'today';
+    return 'upcoming';
+  }
+
+  /**
+   * Convert an event from the legacy events.json format (a bare array keyed
+   * by Notion property names) to the current event shape
+   */
+  function fromLegacyEvent(event) {
+    return {
+      // The scripts hash an id for these; every file they write has real ones
+      id: event.id || null,
+      name: event.Name,
+      start: event.Date,
+      end: event.DateEnd || null,
+      allDay: event.allDay === true,
+      status: event.Status || null,
+      previousStart: event.previousStartDate || null,
+      type: event.Type || null,
+      languages: event.Language,
+      link: event.Link || null,
+      datePretty: event.datePretty || null,
+      lastEditedTime: event.lastEditedTime || null
+    };
+  }
+
+  /**
+   * Read the events out of a parsed events.json
+   *
+   * Accepts the versioned envelope ({ schemaVersion, events: [...] }) and,
+   * during the transition, the legacy bare array.
+   */
+  function eventsFromJson(data) {
+    if (Array.isArray(data)) {
+      return data.map(fromLegacyEvent);
+    }
+    if (!data || !Array.isArray(data.events)) {
+      return [];
+    }
+    if (data.schemaVersion > CONFIG.EVENTS_SCHEMA_VERSION) {
+      console.warn(`events.json schemaVersion ${data.schemaVersion} is newer than supported (${CONFIG.EVENTS_SCHEMA_VERSION})`);
+    }
+    return data.events;
+  }
+
   /**
    * Format event data from JSON
+   *
+   * The status is derived from the dates at render time, so a stale
+   * events.json (e.g. after a failed sync) never lists finished events as
+   * upcoming; Notion's Status only matters for manual overrides.
    */
   function formatEvent(event) {
+    const name = event.name || '';
+    const dateISO = event.start || '';
+    const endISO = event.end || '';
+    const slug = eventSlug(name, dateISO);
+    const notionStatus = event.status || '';
+    const statusOverride = STATUS_OVERRIDES[notionStatus] ? notionStatus : null;
+    const timing = eventTiming({ dateISO, endISO }, new Date());
+    // Postponed events have not happened yet, whatever their old date says
+    const status = timing && (DERIVED_STATUSES.includes(notionStatus) || statusOverride)
+      ? (timing === 'past' && statusOverride !== 'Postponed' ? 'Past' : 'Upcoming')
+      : notionStatus;
     return {
-      name: event.Name || '',
-      type: event.Type || '',
-      status: event.Status || '',
-      dateISO: event.Date || '',
+      id: event.id || null,
+      name,
+      type: event.type || '',
+      status,
+      notionStatus,
+      statusOverride,
+      previousDateISO: event.previousStart || '',
+      timing,
+      dateISO,
+      endISO,
+      allDay: event.allDay === true,
       datePretty: event.datePretty || '',
-      lang: Array.isArray(event.Language) ? event.Language : [],
-      link: event.Link || null
+      lang: Array.isArray(event.languages) ? event.languages : [],
+      link: event.link || null,
+      lastEditedTime: event.lastEditedTime || null,
+      description: event.description || null,
+      speakers: Array.isArray(event.speakers) ? event.speakers : [],
+      location: event.location && LOCATION_VISIBILITIES.includes(event.location.visibility) ? event.location : null,
+      cover: event.cover && event.cover.src && Array.isArray(event.cover.variants) ? event.cover : null,
+      slug,
+      url: `/events/${slug}/`
     };
   }
 
+  /**
+   * Flag emojis for event languages
+   */
+  const LANGUAGE_FLAGS = {
+    'PT': '🇵🇹',
+    'EN': '🇬🇧',
+    'ES': '🇪🇸',
+    'FR': '🇫🇷'
+  };
+
   /**
    * Format languages array to string with flag emojis
    */
   function formatLanguages(langArray) {
     if (!Array.isArray(langArray) || langArray.length === 0) return '';
     
-    const flagMap = {
-      'PT': '🇵🇹',
-      'EN': '🇬🇧',
-      'ES': '🇪🇸',
-      'FR': '🇫🇷'
-    };
-    
     return langArray
-      .map(lang => flagMap[lang] || lang)
+      .map(lang => LANGUAGE_FLAGS[lang] || lang)
       .join(' ');
   }
 
@@ -119,40 +325,428 @@
   const icons = {
     calendar: '<svg aria-hidden="true" class="icon icon--calendar" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect><line x1="16" y1="2" x2="16" y2="6"></line><line x1="8" y1="2" x2="8" y2="6"></line><line x1="3" y1="10" x2="21" y2="10"></line></svg>',
     globe: '<svg aria-hidden="true" class="icon icon--globe" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path></svg>',
+    calendarPlus: '<svg aria-hidden="true" class="icon icon--calendar-plus" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect><line x1="16" y1="2" x2="16" y2="6"></line><line x1="8" y1="2" x2="8" y2="6"></line><line x1="3" y1="10" x2="21" y2="10"></line><line x1="12" y1="13" x2="12" y2="19"></line><line x1="9" y1="16" x2="15" y2="16"></line></svg>',
+    mic: '<svg aria-hidden="true" class="icon icon--mic" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"></path><path d="M19 10v2a7 7 0 0 1-14 0v-2"></path><line x1="12" y1="19" x2="12" y2="23"></line><line x1="8" y1="23" x2="16" y2="23"></line></svg>',
+    pin: '<svg aria-hidden="true" class="icon icon--pin" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path><circle cx="12" cy="10" r="3"></circle></svg>',
     chat: '<svg aria-hidden="true" class="icon icon--chat" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path></svg>'
   };
 
+  /**
+   * Short place of an event: the venue and city when its location is
+   * public, the neighbourhood and city otherwise ("Baixa, Coimbra")
+   */
+  function locationLabel(location) {
+    const parts = location.visibility === 'full'
+      ? [location.name || location.neighbourhood, location.city]
+      : [location.neighbourhood, location.city];
+    return [...new Set(parts.filter(Boolean))].join(', ');
+  }
+
+  /**
+   * Location for calendars (hidden venues are just "Coimbra, Portugal")
+   */
+  function locationText(event) {
+    const location = event.location;
+    const parts = !location
+      ? []
+      : location.visibility === 'full'
+        ? [location.name, location.address, location.city]
+        : [location.neighbourhood, location.city];
+    const text = [...new Set(parts.filter(Boolean))].join(', ');
+    return `${text || 'Coimbra'}, Portugal`;
+  }
+
+  /**
+   * Format a Date as an iCalendar/Google UTC stamp (e.g. 20251007T173000Z)
+   */
+  function toUtcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Format a Date as a Lisbon calendar date stamp (e.g. 20251007), for all-day events
+   */
+  function allDayStamp(date) {
+    return localDateKey(date.toISOString()).replace(/-/g, '');
+  }
+
+  /**
+   * Escape a value for an iCalendar TEXT field
+   */
+  function escapeIcsText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\r?\n/g, '\\n')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,');
+  }
+
+  /**
+   * Get start/end Dates for an event (without an end time, assumes the default duration)
+   */
+  function eventTimes(event) {
+    const start = new Date(event.dateISO);
+    const end = event.endISO
+      ? new Date(event.endISO)
+      : new Date(start.getTime() + CONFIG.EVENT_DURATION_MINUTES * 60 * 1000);
+    return { start, end };
+  }
+
+  /**
+   * Build a single-event .ics document (same UID as the public feeds when the id is known)
+   */
+  function buildEventIcs(event) {
+    const { start, end } = eventTimes(event);
+    const uid = event.id
+      ? `${event.id}@coimbratech.org`
+      : `${toUtcStamp(start)}-${slugify(event.name).slice(0, 40)}@coimbratech.org`;
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Coimbra Tech Afterhours//Events//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${toUtcStamp(start)}`, // Deterministic, so prerendered markup stays stable
+      ...(event.allDay
+        ? [`DTSTART;VALUE=DATE:${allDayStamp(start)}`, `DTEND;VALUE=DATE:${allDayStamp(end)}`]
+        : [`DTSTART:${toUtcStamp(start)}`, `DTEND:${toUtcStamp(end)}`]),
+      `SUMMARY:${escapeIcsText(event.name)}`,
+      `CATEGORIES:${escapeIcsText(event.type || 'Afterhours')}`,
+      `LOCATION:${escapeIcsText(locationText(event))}`,
+      `STATUS:${event.statusOverride ? STATUS_OVERRIDES[event.statusOverride].ics : 'CONFIRMED'}`
+    ];
+    if (event.link) {
+      lines.push(`URL:${event.link}`);
+      lines.push(`DESCRIPTION:${escapeIcsText(`Details / RSVP: ${event.link}`)}`);
+    }
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build "Add to calendar" URLs for an event
+   */
+  function calendarLinksFor(event) {
+    const { start, end } = eventTimes(event);
+    const details = event.link ? `Details / RSVP: ${event.link}` : '';
+    const location = locationText(event);
+
+    const google = 'https://calendar.google.com/calendar/render?' + new URLSearchParams({
+      action: 'TEMPLATE',
+      text: event.name,
+      dates: event.allDay
+        ? `${allDayStamp(start)}/${allDayStamp(end)}`
+        : `${toUtcStamp(start)}/${toUtcStamp(end)}`,
+      details,
+      location,
+      ctz: 'Europe/Lisbon'
+    }).toString();
+
+    const outlook = 'https://outlook.live.com/calendar/0/action/compose?' + new URLSearchParams({
+      rru: 'addevent',
+      subject: event.name,
+      startdt: event.allDay ? localDateKey(start.toISOString()) : start.toISOString(),
+      enddt: event.allDay ? localDateKey(end.toISOString()) : end.toISOString(),
+      ...(event.allDay ? { allday: 'true' } : {}),
+      body: details,
+      location
+    }).toString();
+
+    const ics = 'data:text/calendar;charset=utf-8,' + encodeURIComponent(buildEventIcs(event));
+
+    return { google, outlook, ics };
+  }
+
+  /**
+   * Create "Add to calendar" menu HTML
+   */
+  function createAddToCalendarMenu(event, lang) {
+    const t = i18n[lang];
+    const links = calendarLinksFor(event);
+    const fileName = `${slugify(event.name) || 'event'}.ics`;
+
+    return `
+      <details class="add-to-calendar">
+        <summary class="add-to-calendar__toggle">
+          ${icons.calendarPlus}
+          <span data-i18n-pt="${i18n.pt.addToCalendar}" data-i18n-en="${i18n.en.addToCalendar}">${t.addToCalendar}</span>
+        </summary>
+        <ul class="add-to-calendar__menu">
+          <li><a href="${links.ics}" download="${fileName}">${t.downloadIcs}</a></li>
+          <li><a href="${links.google}" target="_blank" rel="noopener noreferrer">${t.googleCalendar}</a></li>
+          <li><a href="${links.outlook}" target="_blank" rel="noopener noreferrer">${t.outlookCalendar}</a></li>
+        </ul>
+      </details>
+    `;
+  }
+
+  /**
+   * Last instant that still belongs to an event (all-day ends are exclusive)
+   */
+  function lastEventMoment(event) {
+    const { end } = eventTimes(event);
+    return new Date(end.getTime() - 1);
+  }
+
+  /**
+   * Format an event's date and time in the site language, on Europe/Lisbon
+   * wall-clock time (falls back to the preformatted datePretty). Events with
+   * an end are shown as a range, all-day events without times.
+   */
+  function formatEventDate(event, lang) {
+    const date = new Date(event.dateISO);
+    if (!event.dateISO || Number.isNaN(date.getTime())) {
+      return event.datePretty;
+    }
+    const formatter = new Intl.DateTimeFormat(LOCALES[lang], {
+      timeZone: CONFIG.TIMEZONE,
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      ...(event.allDay ? {} : { hour: '2-digit', minute: '2-digit', hour12: false })
+    });
+    if (!event.endISO) {
+      return formatter.format(date);
+    }
+    const end = event.allDay ? lastEventMoment(event) : new Date(event.endISO);
+    return typeof formatter.formatRange === 'function'
+      ? formatter.formatRange(date, end)
+      : `${formatter.format(date)} – ${formatter.format(end)}`;
+  }
+
+  /**
+   * Create the <time> element for an event's date
+   */
+  function createDateHTML(event, lang) {
+    if (!event.dateISO) {
+      return escapeHTML(event.datePretty);
+    }
+    const pt = escapeHTML(formatEventDate(event, 'pt'));
+    const en = escapeHTML(formatEventDate(event, 'en'));
+    const datetime = event.allDay ? localDateKey(event.dateISO) : event.dateISO;
+    return `<time datetime="${datetime}" data-i18n-pt="${pt}" data-i18n-en="${en}">${lang === 'en' ? en : pt}</time>`;
+  }
+
+  /**
+   * Create the external RSVP link, or a disabled "Coming soon" label
+   */
+  function createRsvpHTML(event, lang, className) {
+    const t = i18n[lang];
+    return event.link
+      ? `<a class="${className}" href="${escapeHTML(event.link)}" target="_blank" rel="noopener noreferrer" data-i18n-pt="${i18n.pt.details}" data-i18n-en="${i18n.en.details}">${t.details}</a>`
+      : `<span class="${className} ${className}--disabled" title="${t.comingSoon}" aria-label="${t.comingSoon}" data-i18n-pt="${i18n.pt.comingSoon}" data-i18n-en="${i18n.en.comingSoon}">${t.comingSoon}</span>`;
+  }
+
+  /**
+   * Check whether an event will not take place as listed (cancelled or postponed)
+   */
+  function isCalledOff(event) {
+    return event.statusOverride === 'Cancelled' || event.statusOverride === 'Postponed';
+  }
+
+  /**
+   * Create the status badge: Cancelled / Postponed / Rescheduled, or
+   * "Today" / "Happening now" for events on the current day
+   */
+  function createStatusBadgeHTML(event, lang) {
+    if (event.statusOverride) {
+      const key = `status${event.statusOverride}`;
+      return `<span class="badge badge--${event.statusOverride.toLowerCase()}" data-i18n-pt="${i18n.pt[key]}" data-i18n-en="${i18n.en[key]}">${i18n[lang][key]}</span>`;
+    }
+    const key = { today: 'today', now: 'happeningNow' }[event.timing];
+    if (!key || event.status !== 'Upcoming') return '';
+    return `<span class="badge badge--${event.timing}" data-i18n-pt="${i18n.pt[key]}" data-i18n-en="${i18n.en[key]}">${i18n[lang][key]}</span>`;
+  }
+
+  /**
+   * Create the bilingual note explaining a cancelled/postponed/rescheduled event
+   */
+  function createStatusNoteHTML(event, lang, className) {
+    if (!event.statusOverride) return '';
+    const previous = event.statusOverride === 'Rescheduled' && event.previousDateISO
+      ? { dateISO: event.previousDateISO }
+      : null;
+    const key = previous ? 'noteRescheduledFrom' : `note${event.statusOverride}`;
+    const text = noteLang => escapeHTML(i18n[noteLang][key].replace('{date}', previous ? formatEventDate(previous, noteLang) : ''));
+    return `<p class="${className}" data-i18n-pt="${text('pt')}" data-i18n-en="${text('en')}">${text(lang)}</p>`;
+  }
+
+  /**
+   * CSS classes for an event's status (plus is-today / is-now on its day,
+   * is-cancelled / is-postponed / is-rescheduled for manual statuses)
+   */
+  function statusClassesFor(event) {
+    const classes = [event.status === 'Upcoming' ? 'is-upcoming' : 'is-past'];
+    if (event.status === 'Upcoming' && (event.timing === 'today' || event.timing === 'now')) {
+      classes.push(`is-${event.timing}`);
+    }
+    if (event.statusOverride) {
+      classes.push(`is-${event.statusOverride.toLowerCase()}`);
+    }
+    return classes.join(' ');
+  }
+
+  /**
+   * Languages of an event's description, the given one first
+   *
+   * The description HTML comes from scripts/lib/notion-content.mjs, which
+   * builds it from escaped text, so it is inserted as is.
+   */
+  function descriptionLanguages(event, lang) {
+    const description = event.description;
+    if (!description) return [];
+    return [lang, ...Object.keys(LOCALES).filter(other => other !== lang)]
+      .filter(other => description[other] && description[other].html);
+  }
+
+  /**
+   * Description of a row, expanded on demand, in the page language when the
+   * event has one (or the other language)
+   */
+  function createRowDescriptionHTML(event, lang) {
+    const [descriptionLang] = descriptionLanguages(event, lang);
+    if (!descriptionLang) return '';
+    return `
+        <details class="event-row__details">
+          <summary data-i18n-pt="${i18n.pt.moreInfo}" data-i18n-en="${i18n.en.moreInfo}">${i18n[lang].moreInfo}</summary>
+          <div class="event-description" lang="${LOCALES[descriptionLang]}">${event.description[descriptionLang].html}</div>
+        </details>
+    `;
+  }
+
+  /**
+   * Full description on detail pages: both languages, switched with the
+   * site's language blocks ([data-lang]) when the event has both
+   */
+  function createDetailDescriptionHTML(event, lang) {
+    const langs = descriptionLanguages(event, lang);
+    if (langs.length === 0) return '';
+    const blocks = langs.length === 1
+      ? `<div class="event-description" lang="${LOCALES[langs[0]]}">${event.description[langs[0]].html}</div>`
+      : langs.map(descriptionLang => `
+          <div class="event-description${descriptionLang === lang ? ' active' : ''}" data-lang="${descriptionLang}" lang="${LOCALES[descriptionLang]}">${event.description[descriptionLang].html}</div>
+        `).join('');
+    return `
+        <section class="event-detail__description">
+          <h2 data-i18n-pt="${i18n.pt.moreInfo}" data-i18n-en="${i18n.en.moreInfo}">${i18n[lang].moreInfo}</h2>
+          ${blocks}
+        </section>
+    `;
+  }
+
+  /**
+   * Speakers line of a row ("Ana Silva — Talk title · Rui Costa")
+   */
+  function createRowSpeakersHTML(event) {
+    if (event.speakers.length === 0) return '';
+    const speakers = event.speakers
+      .map(speaker => escapeHTML(speaker.talk ? `${speaker.name} — ${speaker.talk}` : speaker.name))
+      .join(' · ');
+    return `
+        <p class="event-row__speakers meta">
+          ${icons.mic}
+          <span>${speakers}</span>
+        </p>
+    `;
+  }
+
+  /**
+   * Speaker list of detail pages (photo, name linked to their page, talk)
+   */
+  function createDetailSpeakersHTML(event, lang) {
+    if (event.speakers.length === 0) return '';
+    const items = event.speakers.map(speaker => {
+      const name = speaker.link
+        ? `<a href="${escapeHTML(speaker.link)}" target="_blank" rel="noopener noreferrer">${escapeHTML(speaker.name)}</a>`
+        : escapeHTML(speaker.name);
+      return `
+            <li class="speaker">
+              ${speaker.photo ? `<img class="speaker__photo" src="${escapeHTML(speaker.photo)}" alt="" width="56" height="56" loading="lazy">` : ''}
+              <span class="speaker__name">${name}</span>
+              ${speaker.talk ? `<span class="speaker__talk">${escapeHTML(speaker.talk)}</span>` : ''}
+            </li>
+      `;
+    }).join('');
+    return `
+        <section class="event-detail__speakers">
+          <h2 data-i18n-pt="${i18n.pt.speakers}" data-i18n-en="${i18n.en.speakers}">${i18n[lang].speakers}</h2>
+          <ul class="speaker-list">${items}</ul>
+        </section>
+    `;
+  }
+
+  /**
+   * Location line of detail pages: the address and a map link too when the
+   * venue is public
+   */
+  function createDetailLocationHTML(event, lang) {
+    const location = event.location;
+    if (!location) return '';
+    const address = location.visibility === 'full' && location.address
+      ? `<span class="event-detail__address">${escapeHTML(location.address)}</span>`
+      : '';
+    const map = location.visibility === 'full' && location.mapLink
+      ? `<a class="event-detail__map" href="${escapeHTML(location.mapLink)}" target="_blank" rel="noopener noreferrer" data-i18n-pt="${i18n.pt.viewMap}" data-i18n-en="${i18n.en.viewMap}">${i18n[lang].viewMap}</a>`
+      : '';
+    return `
+          <span class="meta event-detail__location">
+            ${icons.pin}
+            <span>${escapeHTML(locationLabel(location))}</span>
+            ${address}
+            ${map}
+          </span>
+    `;
+  }
+
+  /**
+   * Cover image as a <picture>: WebP with a JPEG fallback, each in every
+   * size mirrored by the sync (see scripts/lib/event-images.mjs)
+   */
+  function createCoverHTML(cover, className, sizes, loading) {
+    const srcset = type => cover.variants
+      .filter(variant => variant.type === type)
+      .map(variant => `${escapeHTML(variant.src)} ${variant.width}w`)
+      .join(', ');
+    return `
+        <picture class="${className}">
+          <source type="image/webp" srcset="${srcset('image/webp')}" sizes="${sizes}">
+          <img src="${escapeHTML(cover.src)}" srcset="${srcset('image/jpeg')}" sizes="${sizes}" width="${cover.width}" height="${cover.height}" alt="" loading="${loading}" decoding="async">
+        </picture>
+    `;
+  }
+
   /**
    * Create event row HTML (simple list format)
    */
   function createEventRow(event, lang) {
-    const t = i18n[lang];
     const typeLabel = typeLabelFor(event.type);
     const isPartnerEvent = isPartner(event.type);
     const languages = formatLanguages(event.lang);
-    const hasLink = !!event.link;
-    const statusClass = event.status === 'Upcoming' ? 'is-upcoming' : 'is-past';
+    const statusClass = statusClassesFor(event);
     const typeClass = isPartnerEvent ? 'type-partner' : 'type-afterhours';
 
-    const dateHTML = event.dateISO
-      ? `<time datetime="${event.dateISO}">${event.datePretty}</time>`
-      : event.datePretty;
+    const dateHTML = createDateHTML(event, lang);
 
     const languagesHTML = languages || '';
 
-    const ctaHTML = hasLink
-      ? `<a class="link-cta" href="${event.link}" target="_blank" rel="noopener noreferrer" data-i18n-pt="${t.details}" data-i18n-en="${i18n.en.details}">${t.details}</a>`
-      : `<span class="link-cta link-cta--disabled" title="${t.comingSoon}" aria-label="${t.comingSoon}" data-i18n-pt="${t.comingSoon}" data-i18n-en="${i18n.en.comingSoon}">${t.comingSoon}</span>`;
+    const calendarHTML = event.status === 'Upcoming' && event.dateISO && !isCalledOff(event)
+      ? createAddToCalendarMenu(event, lang)
+      : '';
+
+    const ctaHTML = createRsvpHTML(event, lang, 'link-cta');
 
-    const titleHTML = hasLink
-      ? `<a class="event-row__title" href="${event.link}" target="_blank" rel="noopener noreferrer">${event.name}</a>`
-      : `<span class="event-row__title">${event.name}</span>`;
+    const titleHTML = `<a class="event-row__title" href="${event.url}">${escapeHTML(event.name)}</a>`;
 
     return `
       <div class="event-row ${statusClass} ${typeClass}">
         <div class="event-row__main">
+          ${event.cover ? createCoverHTML(event.cover, 'event-row__thumb', '64px', 'lazy') : ''}
           ${titleHTML}
           <span class="badge badge--type">${typeLabel}</span>
+          ${createStatusBadgeHTML(event, lang)}
         </div>
         <div class="event-row__meta">
           <span class="meta">
@@ -160,15 +754,62 @@
             ${dateHTML}
           </span>
           ${languagesHTML ? `<span class="meta">${icons.globe}${languagesHTML}</span>` : ''}
+          ${event.location ? `<span class="meta">${icons.pin}${escapeHTML(locationLabel(event.location))}</span>` : ''}
         </div>
         <div class="event-row__cta">
           ${ctaHTML}
+          ${calendarHTML}
         </div>
+        ${createStatusNoteHTML(event, lang, 'event-row__note')}
+        ${createRowSpeakersHTML(event)}
+        ${createRowDescriptionHTML(event, lang)}
       </div>
     `;
   }
 
 
+  /**
+   * Create event detail page content (used by scripts/generate-event-pages.mjs)
+   */
+  function createEventDetail(event, lang) {
+    const t = i18n[lang];
+    const isPartnerEvent = isPartner(event.type);
+    const languages = formatLanguages(event.lang);
+    const statusClass = statusClassesFor(event);
+    const typeClass = isPartnerEvent ? 'type-partner' : 'type-afterhours';
+
+    const calendarHTML = event.status === 'Upcoming' && event.dateISO && !isCalledOff(event)
+      ? createAddToCalendarMenu(event, lang)
+      : '';
+
+    return `
+      <article class="event-detail ${statusClass} ${typeClass}">
+        <a class="event-detail__back" href="/events.html" data-i18n-pt="${i18n.pt.backToEvents}" data-i18n-en="${i18n.en.backToEvents}">${t.backToEvents}</a>
+        <header class="event-detail__header">
+          <span class="badge badge--type">${typeLabelFor(event.type)}</span>
+          ${createStatusBadgeHTML(event, lang)}
+          <h1 class="event-detail__title">${escapeHTML(event.name)}</h1>
+        </header>
+        ${event.cover ? createCoverHTML(event.cover, 'event-detail__cover', '(max-width: 900px) 100vw, 900px', 'eager') : ''}
+        <div class="event-detail__meta">
+          <span class="meta">
+            ${icons.calendar}
+            ${createDateHTML(event, lang)}
+          </span>
+          ${languages ? `<span class="meta">${icons.globe}${languages}</span>` : ''}
+          ${createDetailLocationHTML(event, lang)}
+        </div>
+        ${createStatusNoteHTML(event, lang, 'event-detail__note')}
+        <div class="event-detail__cta">
+          ${createRsvpHTML(event, lang, 'cta-button')}
+          ${calendarHTML}
+        </div>
+        ${createDetailSpeakersHTML(event, lang)}
+        ${createDetailDescriptionHTML(event, lang)}
+      </article>
+    `;
+  }
+
   /**
    * Create skeleton row
    */
@@ -183,16 +824,13 @@
   }
 
   /**
-   * Group events by year/month
+   * Group events by year/month (in Europe/Lisbon), keyed by "YYYY-MM"
    */
   function groupByYearMonth(events) {
     const groups = {};
     events.forEach(event => {
       if (!event.dateISO) return;
-      const date = new Date(event.dateISO);
-      const year = date.getFullYear();
-      const month = date.toLocaleString('en-US', { month: 'short' });
-      const key = `${year} / ${month}`;
+      const key = localDateKey(event.dateISO).slice(0, 7);
       if (!groups[key]) {
         groups[key] = [];
       }
@@ -201,6 +839,414 @@
     return groups;
   }
 
+  /**
+   * Localized heading for a "YYYY-MM" group (e.g. "outubro de 2025")
+   */
+  function formatYearMonth(key, lang) {
+    return new Date(`${key}-01T00:00:00Z`)
+      .toLocaleDateString(LOCALES[lang], { timeZone: 'UTC', month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Split events into upcoming (soonest first) and past (newest first)
+   */
+  function splitEvents(events) {
+    const upcoming = events
+      .filter(e => e.status === 'Upcoming')
+      .sort((a, b) => new Date(a.dateISO) - new Date(b.dateISO));
+    const past = events
+      .filter(e => e.status === 'Past')
+      .sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
+    return { upcoming, past };
+  }
+
+  /**
+   * Create empty state HTML for an i18n key
+   */
+  function createEmptyState(key, lang) {
+    return `<p class="events__empty" data-i18n-pt="${i18n.pt[key]}" data-i18n-en="${i18n.en[key]}">${i18n[lang][key]}</p>`;
+  }
+
+  /**
+   * Render a list of event rows, or the empty state when there are none
+   */
+  function renderEventListHTML(events, lang, emptyKey) {
+    if (events.length === 0) {
+      return createEmptyState(emptyKey, lang);
+    }
+    return events.map(event => createEventRow(event, lang)).join('');
+  }
+
+  /**
+   * Render past events grouped by year/month (newest group first)
+   */
+  function renderArchiveHTML(past, lang) {
+    if (past.length === 0) {
+      return createEmptyState('noPast', lang);
+    }
+    const groups = groupByYearMonth(past);
+    return Object.keys(groups).sort().reverse().map(groupKey => `
+      <div class="archive__group">
+        <h3 class="archive__group-title" data-i18n-pt="${formatYearMonth(groupKey, 'pt')}" data-i18n-en="${formatYearMonth(groupKey, 'en')}">${formatYearMonth(groupKey, lang)}</h3>
+        <div class="event-list">
+          ${renderEventListHTML(groups[groupKey], lang, 'noPast')}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Pick the upcoming events shown on the homepage
+   */
+  function selectHomeEvents(events) {
+    return splitEvents(events).upcoming.slice(0, CONFIG.MAX_HOME_EVENTS);
+  }
+
+  /**
+   * Render homepage events markup
+   */
+  function renderHomeEventsHTML(events, lang) {
+    return renderEventListHTML(selectHomeEvents(events), lang, 'noUpcoming');
+  }
+
+  /**
+   * Render events page markup (upcoming list + past archive)
+   * When `filtered` is set, empty sections explain that nothing matched the filters
+   */
+  function renderEventsPageHTML(events, lang, { filtered = false } = {}) {
+    const { upcoming, past } = splitEvents(events);
+    return {
+      upcoming: renderEventListHTML(upcoming, lang, filtered ? 'noMatches' : 'noUpcoming'),
+      past: past.length === 0 && filtered
+        ? createEmptyState('noMatches', lang)
+        : renderArchiveHTML(past, lang)
+    };
+  }
+
+  /**
+   * Filter keys reflected in the events page query string
+   * (e.g. /events?type=afterhours&language=EN&year=2025&q=impostor)
+   */
+  const FILTER_TYPES = ['afterhours', 'partner'];
+
+  /**
+   * Normalize text for case- and accent-insensitive search
+   */
+  function normalizeSearch(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Whether a query value is an event language code (EN, not the page's en)
+   */
+  function isEventLanguage(value) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGE_FLAGS, value);
+  }
+
+  /**
+   * Read filters from a query string. ?lang=pt|en is the page language and is
+   * left to the language switch; older links with an uppercase ?lang=EN
+   * still select the event language.
+   */
+  function parseFilters(search) {
+    const params = new URLSearchParams(search);
+    const type = params.get('type');
+    const language = params.get('language') || params.get('lang');
+    const year = params.get('year');
+    return {
+      type: FILTER_TYPES.includes(type) ? type : '',
+      language: isEventLanguage(language) ? language : '',
+      year: /^\d{4}$/.test(year || '') ? year : '',
+      q: (params.get('q') || '').trim()
+    };
+  }
+
+  /**
+   * Write filters into a query string, keeping unrelated parameters
+   */
+  function serializeFilters(filters, search) {
+    const params = new URLSearchParams(search);
+    ['type', 'language', 'year', 'q'].forEach(key => params.delete(key));
+    if (isEventLanguage(params.get('lang'))) {
+      params.delete('lang');
+    }
+    ['type', 'language', 'year', 'q'].forEach(key => {
+      if (filters[key]) params.set(key, filters[key]);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Whether any filter is set
+   */
+  function hasActiveFilters(filters) {
+    return Boolean(filters.type || filters.language || filters.year || filters.q);
+  }
+
+  /**
+   * Year of an event in the events' timezone
+   */
+  function eventYear(event) {
+    return event.dateISO ? localDateKey(event.dateISO).slice(0, 4) : '';
+  }
+
+  /**
+   * Apply filters to a list of events
+   */
+  function filterEvents(events, filters) {
+    const query = normalizeSearch(filters.q);
+    return events.filter(event => {
+      if (filters.type && (isPartner(event.type) ? 'partner' : 'afterhours') !== filters.type) return false;
+      if (filters.language && !event.lang.includes(filters.language)) return false;
+      if (filters.year && eventYear(event) !== filters.year) return false;
+      if (query && !normalizeSearch(event.name).includes(query)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD key
+   */
+  function addDaysToKey(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Move a YYYY-MM-DD key by whole months, clamping the day (31 Jan + 1 → 28/29 Feb)
+   */
+  function addMonthsToKey(key, months) {
+    const [year, month, day] = key.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Monday-based weekday index (0 = Monday) of a YYYY-MM-DD key
+   */
+  function weekdayIndex(key) {
+    return (new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7;
+  }
+
+  /**
+   * Event start time (HH:MM) in the events' timezone
+   */
+  function formatEventTime(event, lang) {
+    if (event.allDay) return '';
+    return new Date(event.dateISO).toLocaleTimeString(LOCALES[lang], {
+      timeZone: CONFIG.TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+  }
+
+  /**
+   * Render a month grid (Monday first) with event chips on each day
+   *
+   * @param {Array} events - Formatted events
+   * @param {{year: number, month: number, focusKey: string, todayKey: string}} view
+   *   month is 0-based; focusKey is the day that takes keyboard focus
+   */
+  function renderCalendarHTML(events, view, lang) {
+    const t = i18n[lang];
+    const locale = LOCALES[lang];
+    const { year, month, focusKey, todayKey } = view;
+
+    // Multi-day events appear on each of their days
+    const byDay = {};
+    events.forEach(event => {
+      if (!event.dateISO) return;
+      const lastKey = localDateKey(lastEventMoment(event).toISOString());
+      for (let key = localDateKey(event.dateISO); key <= lastKey; key = addDaysToKey(key, 1)) {
+        (byDay[key] = byDay[key] || []).push(event);
+      }
+    });
+    Object.keys(byDay).forEach(key => {
+      byDay[key].sort((a, b) => new Date(a.dateISO) - new Date(b.dateISO));
+    });
+
+    const firstKey = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const offset = weekdayIndex(firstKey);
+    const weeks = Math.ceil((offset + daysInMonth) / 7);
+    const gridStart = addDaysToKey(firstKey, -offset);
+    const utcOptions = { timeZone: 'UTC' };
+
+    const title = new Date(`${firstKey}T00:00:00Z`)
+      .toLocaleDateString(locale, { ...utcOptions, month: 'long', year: 'numeric' });
+
+    const headers = Array.from({ length: 7 }, (_, i) => {
+      const date = new Date(`${addDaysToKey(gridStart, i)}T00:00:00Z`);
+      const long = date.toLocaleDateString(locale, { ...utcOptions, weekday: 'long' });
+      const short = date.toLocaleDateString(locale, { ...utcOptions, weekday: 'short' });
+      return `<th scope="col" abbr="${long}">${short}</th>`;
+    }).join('');
+
+    let rows = '';
+    for (let week = 0; week < weeks; week++) {
+      let cells = '';
+      for (let day = 0; day < 7; day++) {
+        const key = addDaysToKey(gridStart, week * 7 + day);
+        const date = new Date(`${key}T00:00:00Z`);
+        const dayEvents = byDay[key] || [];
+        const isFocus = key === focusKey;
+        const classes = [
+          'calendar-day',
+          date.getUTCMonth() !== month ? 'is-outside' : '',
+          key === todayKey ? 'is-today' : '',
+          dayEvents.length ? 'has-events' : ''
+        ].filter(Boolean).join(' ');
+
+        const dateLabel = date.toLocaleDateString(locale, { ...utcOptions, weekday: 'long', day: 'numeric', month: 'long' });
+        const countLabel = dayEvents.length
+          ? ` — ${dayEvents.length} ${dayEvents.length === 1 ? t.eventSingular : t.eventPlural}`
+          : '';
+
+        const chips = dayEvents.map(event => `
+          <a class="calendar-chip ${isPartner(event.type) ? 'type-partner' : 'type-afterhours'}${event.statusOverride ? ` is-${event.statusOverride.toLowerCase()}` : ''}" href="${event.url}" tabindex="${isFocus ? '0' : '-1'}" title="${escapeHTML(event.name)}">
+            <span class="calendar-chip__time">${localDateKey(event.dateISO) === key ? formatEventTime(event, lang) : ''}</span>
+            <span class="calendar-chip__name">${escapeHTML(event.name)}</span>
+          </a>
+        `).join('');
+
+        cells += `
+          <td role="gridcell" class="${classes}" data-date="${key}" tabindex="${isFocus ? '0' : '-1'}" aria-label="${escapeHTML(dateLabel + countLabel)}"${key === todayKey ? ' aria-current="date"' : ''}>
+            <span class="calendar-day__number" aria-hidden="true">${date.getUTCDate()}</span>
+            ${chips}
+          </td>
+        `;
+      }
+      rows += `<tr>${cells}</tr>`;
+    }
+
+    return `
+      <div class="events-calendar__header">
+        <button type="button" class="events-calendar__nav" data-calendar-nav="-1" aria-label="${t.prevMonth}" title="${t.prevMonth}">‹</button>
+        <h2 class="events-calendar__title" id="events-calendar-title" aria-live="polite">${title}</h2>
+        <button type="button" class="events-calendar__nav" data-calendar-nav="1" aria-label="${t.nextMonth}" title="${t.nextMonth}">›</button>
+        <button type="button" class="events-calendar__today" data-calendar-nav="0">${t.today}</button>
+      </div>
+      <table class="events-calendar__grid" role="grid" aria-labelledby="events-calendar-title">
+        <thead><tr>${headers}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Distinct event years, newest first
+   */
+  function listEventYears(events) {
+    return Array.from(new Set(events.map(eventYear).filter(Boolean))).sort().reverse();
+  }
+
+  /**
+   * Hash a string (djb2) so prerendered markup can be compared with a fresh render
+   */
+  function hashString(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * schema.org Place of an event: as much of the venue as it publishes,
+   * or just Coimbra
+   */
+  function buildPlaceJsonLd(location) {
+    const full = location && location.visibility === 'full';
+    const label = location ? locationLabel(location) : '';
+    return {
+      "@type": "Place",
+      "name": (full && location.name) || label || "Coimbra",
+      "address": {
+        "@type": "PostalAddress",
+        ...(full && location.address ? { "streetAddress": location.address } : {}),
+        "addressLocality": (location && location.city) || "Coimbra",
+        "addressCountry": "PT"
+      },
+      ...(full && location.mapLink ? { "hasMap": location.mapLink } : {})
+    };
+  }
+
+  /**
+   * Build Event JSON-LD objects
+   */
+  function buildEventJsonLd(events) {
+    return events.map(ev => ({
+      "@context": "https://schema.org",
+      "@type": "Event",
+      "name": ev.name,
+      "eventStatus": ev.statusOverride
+        ? STATUS_OVERRIDES[ev.statusOverride].schema
+        : "https://schema.org/EventScheduled",
+      ...(ev.statusOverride === 'Rescheduled' && ev.previousDateISO ? {
+        "previousStartDate": ev.previousDateISO
+      } : {}),
+      "eventAttendanceMode": "https://schema.org/OfflineEventAttendanceMode",
+      // Only ISO dates are valid here, never the display date
+      ...(ev.dateISO ? {
+        "startDate": ev.allDay ? localDateKey(ev.dateISO) : ev.dateISO
+      } : {}),
+      ...(ev.endISO ? {
+        "endDate": ev.allDay ? localDateKey(lastEventMoment(ev).toISOString()) : ev.endISO
+      } : {}),
+      "location": buildPlaceJsonLd(ev.location),
+      "organizer": {
+        "@type": "Organization",
+        "name": "Coimbra Tech Afterhours",
+        "url": "https://coimbratech.org"
+      },
+      ...((ev.speakers || []).length > 0 ? {
+        "performer": ev.speakers.map(speaker => ({
+          "@type": "Person",
+          "name": speaker.name,
+          ...(speaker.link ? { "url": speaker.link } : {}),
+          ...(speaker.photo ? { "image": speaker.photo } : {})
+        }))
+      } : {}),
+      ...(ev.cover ? {
+        "image": [`${CONFIG.SITE_URL}${ev.cover.src}`]
+      } : {}),
+      "inLanguage": ["pt-PT", "en"],
+      "url": `${CONFIG.SITE_URL}${ev.url || '/events'}`,
+      "isAccessibleForFree": true
+    }));
+  }
+
+  // Pure rendering helpers, shared with the Node prerender script (scripts/prerender-events.mjs)
+  const root = typeof window !== 'undefined' ? window : globalThis;
+  root.CTAEvents = {
+    CONFIG,
+    formatEvent,
+    escapeHTML,
+    createEventRow,
+    createEventDetail,
+    splitEvents,
+    selectHomeEvents,
+    renderHomeEventsHTML,
+    renderEventsPageHTML,
+    parseFilters,
+    serializeFilters,
+    filterEvents,
+    formatEventDate,
+    renderCalendarHTML,
+    buildEventJsonLd,
+    hashString
+  };
+
+  // Nothing else to do outside the browser
+  if (typeof document === 'undefined') return;
+
   /**
    * Fetch events from JSON
    */
@@ -211,19 +1257,69 @@
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       const data = await response.json();
-      return Array.isArray(data) ? data.map(formatEvent) : [];
+      return eventsFromJson(data).map(formatEvent);
     } catch (error) {
       console.error('Error fetching events:', error);
       return [];
     }
   }
 
+  /**
+   * Check whether a container already holds prerendered markup
+   */
+  function isPrerendered(container) {
+    return container.hasAttribute('data-render-hash');
+  }
+
+  /**
+   * Refresh a container with fresh markup, leaving it untouched when the
+   * prerendered (or previous) render is identical
+   */
+  function hydrate(container, html) {
+    const hash = hashString(html);
+    if (container.getAttribute('data-render-hash') === hash) {
+      return false;
+    }
+    container.innerHTML = html;
+    container.setAttribute('data-render-hash', hash);
+    return true;
+  }
+
+  /**
+   * For visitors outside Lisbon's timezone, add the event time in their own
+   * timezone next to each event date (listed times are always Lisbon time)
+   */
+  function addLocalTimeHints(root) {
+    const visitorZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!visitorZone || visitorZone === CONFIG.TIMEZONE) return;
+
+    const options = { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false };
+    root.querySelectorAll('.event-row__meta time[datetime], .event-detail__meta time[datetime]').forEach(time => {
+      const next = time.nextElementSibling;
+      if (next && next.classList.contains('event-local-time')) return;
+
+      const datetime = time.getAttribute('datetime');
+      if (!datetime.includes('T')) return; // All-day events
+      const date = new Date(datetime);
+      if (Number.isNaN(date.getTime())) return;
+      const lisbonTime = date.toLocaleString(LOCALES.en, { ...options, timeZone: CONFIG.TIMEZONE });
+      if (date.toLocaleString(LOCALES.en, options) === lisbonTime) return;
+
+      const hint = document.createElement('span');
+      hint.className = 'event-local-time';
+      Object.keys(LOCALES).forEach(lang => {
+        hint.setAttribute(`data-i18n-${lang}`, `(${date.toLocaleString(LOCALES[lang], options)} ${i18n[lang].localTime})`);
+      });
+      hint.textContent = hint.getAttribute(`data-i18n-${getCurrentLang()}`);
+      time.after(hint);
+    });
+  }
+
   /**
    * Render home events section
    */
   async function renderHomeEvents() {
     const lang = getCurrentLang();
-    const t = i18n[lang];
     const eventsContainer = document.querySelector('#events .events__list') || document.querySelector('#events');
 
     if (!eventsContainer) return;
@@ -242,70 +1338,260 @@
       }
     }
 
-    // Show skeletons while loading
-    listContainer.innerHTML = createSkeletonRow() + createSkeletonRow() + createSkeletonRow();
+    // Show skeletons while loading (prerendered markup stays visible instead)
+    if (!isPrerendered(listContainer)) {
+      listContainer.innerHTML = createSkeletonRow() + createSkeletonRow() + createSkeletonRow();
+    }
 
     const events = await fetchEvents();
-    const upcoming = events
-      .filter(e => e.status === 'Upcoming')
-      .sort((a, b) => new Date(a.dateISO) - new Date(b.dateISO));
+    hydrate(listContainer, renderHomeEventsHTML(events, lang));
+    addLocalTimeHints(listContainer);
 
-    listContainer.innerHTML = '';
+    updateI18n();
 
-    if (upcoming.length === 0) {
-      listContainer.innerHTML = `<p class="events__empty" data-i18n-pt="${t.noUpcoming}" data-i18n-en="${i18n.en.noUpcoming}">${t.noUpcoming}</p>`;
-      updateI18n();
-      return;
+    // Inject Event JSON-LD for the events shown
+    injectEventJsonLd(selectHomeEvents(events));
+  }
+
+  /**
+   * Inject (or refresh) Event JSON-LD in document head
+   */
+  function injectEventJsonLd(events) {
+    if (!Array.isArray(events) || !events.length) return;
+
+    let script = document.getElementById('events-jsonld');
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.id = 'events-jsonld';
+      document.head.appendChild(script);
     }
+    script.textContent = JSON.stringify(buildEventJsonLd(events));
+  }
+
+  // Events loaded on the events page, kept so filters can re-render without refetching
+  let eventsPageEvents = [];
+
+  // Events matching the current filters (shared by the list and calendar views)
+  let eventsPageFiltered = [];
+
+  // Month shown in the calendar view ({year, month, focusKey}), starts at the current month
+  let calendarView = null;
 
-    // Show up to MAX_HOME_EVENTS
-    const homeEvents = upcoming.slice(0, CONFIG.MAX_HOME_EVENTS);
-    homeEvents.forEach(event => {
-      const rowHTML = createEventRow(event, lang);
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = rowHTML;
-      listContainer.appendChild(tempDiv.firstElementChild);
+  /**
+   * Read the current filter values from the filter form
+   */
+  function readFilterForm(form) {
+    const data = new FormData(form);
+    return {
+      type: data.get('type') || '',
+      language: data.get('language') || '',
+      year: data.get('year') || '',
+      q: String(data.get('q') || '').trim()
+    };
+  }
+
+  /**
+   * Render the upcoming list and archive for the current filters,
+   * and reflect the filters in the query string so the view can be shared
+   */
+  function renderFilteredEvents(
+    upcomingContainer = document.querySelector('.events-upcoming .event-list'),
+    pastContainer = document.querySelector('.events-past .archive')
+  ) {
+    const lang = getCurrentLang();
+    const form = document.querySelector('.events-filters');
+    const filters = form ? readFilterForm(form) : parseFilters(window.location.search);
+    eventsPageFiltered = filterEvents(eventsPageEvents, filters);
+    const html = renderEventsPageHTML(eventsPageFiltered, lang, {
+      filtered: hasActiveFilters(filters)
     });
 
+    if (upcomingContainer) {
+      hydrate(upcomingContainer, html.upcoming);
+      addLocalTimeHints(upcomingContainer);
+    }
+    if (pastContainer) {
+      hydrate(pastContainer, html.past);
+      addLocalTimeHints(pastContainer);
+    }
+
+    const query = serializeFilters(filters, window.location.search);
+    if (form && query !== window.location.search) {
+      history.replaceState(null, '', window.location.pathname + query + window.location.hash);
+    }
+
+    renderCalendar(false);
     updateI18n();
   }
 
   /**
-   * Inject Event JSON-LD into document head
+   * Today's date (YYYY-MM-DD) in the events' timezone
    */
-  function injectEventJsonLd(events) {
-    if (!Array.isArray(events) || !events.length) return;
-    
-    const mapped = events.map(ev => ({
-      "@context": "https://schema.org",
-      "@type": "Event",
-      "name": ev.name,
-      "eventStatus": "https://schema.org/EventScheduled",
-      "eventAttendanceMode": "https://schema.org/OfflineEventAttendanceMode",
-      "startDate": ev.dateISO || ev.date || "",
-      "location": {
-        "@type": "Place",
-        "name": "Coimbra",
-        "address": {
-          "@type": "PostalAddress",
-          "addressLocality": "Coimbra",
-          "addressCountry": "PT"
-        }
-      },
-      "organizer": {
-        "@type": "Organization",
-        "name": "Coimbra Tech Afterhours",
-        "url": "https://coimbratech.org"
-      },
-      "inLanguage": ["pt-PT", "en"],
-      "url": "https://coimbratech.org/events",
-      "isAccessibleForFree": true
-    }));
+  function todayKey() {
+    return localDateKey(new Date().toISOString());
+  }
+
+  /**
+   * Render the calendar view (when visible) for the current month and filters
+   */
+  function renderCalendar(focus) {
+    const section = document.querySelector('.events-calendar');
+    if (!section || section.hidden) return;
+
+    if (!calendarView) {
+      showCalendarDate(todayKey(), false);
+      return;
+    }
+
+    section.innerHTML = renderCalendarHTML(eventsPageFiltered, {
+      ...calendarView,
+      todayKey: todayKey()
+    }, getCurrentLang());
+
+    if (focus) {
+      const cell = section.querySelector(`[data-date="${calendarView.focusKey}"]`);
+      if (cell) cell.focus();
+    }
+  }
 
-    const script = document.createElement("script");
-    script.type = "application/ld+json";
-    script.textContent = JSON.stringify(mapped);
-    document.head.appendChild(script);
+  /**
+   * Show the month containing a date and make that day the focusable cell
+   */
+  function showCalendarDate(key, focus) {
+    const [year, month] = key.split('-').map(Number);
+    calendarView = { year, month: month - 1, focusKey: key };
+    renderCalendar(focus);
+  }
+
+  /**
+   * Keyboard navigation in the calendar grid (WAI-ARIA grid pattern):
+   * arrows move by day/week, Home/End to week start/end, PageUp/PageDown by month,
+   * Enter opens the day's first event
+   */
+  function onCalendarKeydown(event) {
+    const cell = event.target.closest('[data-date]');
+    if (!cell || event.target !== cell) return;
+
+    const key = cell.getAttribute('data-date');
+    const moves = {
+      ArrowLeft: () => addDaysToKey(key, -1),
+      ArrowRight: () => addDaysToKey(key, 1),
+      ArrowUp: () => addDaysToKey(key, -7),
+      ArrowDown: () => addDaysToKey(key, 7),
+      Home: () => addDaysToKey(key, -weekdayIndex(key)),
+      End: () => addDaysToKey(key, 6 - weekdayIndex(key)),
+      PageUp: () => addMonthsToKey(key, -1),
+      PageDown: () => addMonthsToKey(key, 1)
+    };
+
+    if (event.key === 'Enter') {
+      const chip = cell.querySelector('.calendar-chip');
+      if (chip) {
+        event.preventDefault();
+        chip.click();
+      }
+      return;
+    }
+
+    if (!moves[event.key]) return;
+    event.preventDefault();
+    showCalendarDate(moves[event.key](), true);
+  }
+
+  /**
+   * Switch between the list and calendar views
+   */
+  function setEventsView(view, persist) {
+    const isCalendar = view === 'calendar';
+    document.querySelectorAll('.events-upcoming, .events-past').forEach(section => {
+      section.hidden = isCalendar;
+    });
+    const calendarSection = document.querySelector('.events-calendar');
+    if (calendarSection) {
+      calendarSection.hidden = !isCalendar;
+    }
+    document.querySelectorAll('.events-view-toggle [data-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-view') === view));
+    });
+
+    // Remember the choice like the theme and language preferences
+    if (persist) {
+      localStorage.setItem(CONFIG.VIEW_STORAGE_KEY, view);
+    }
+
+    renderCalendar(false);
+  }
+
+  /**
+   * Set up the list/calendar toggle and calendar controls (once)
+   */
+  function setupEventsView() {
+    const toggle = document.querySelector('.events-view-toggle');
+    const calendarSection = document.querySelector('.events-calendar');
+    if (!toggle || !calendarSection || toggle.hasAttribute('data-ready')) return;
+    toggle.setAttribute('data-ready', '');
+    toggle.hidden = false;
+
+    toggle.addEventListener('click', event => {
+      const button = event.target.closest('[data-view]');
+      if (button) {
+        setEventsView(button.getAttribute('data-view'), true);
+      }
+    });
+
+    calendarSection.addEventListener('click', event => {
+      const nav = event.target.closest('[data-calendar-nav]');
+      if (!nav || !calendarView) return;
+      const delta = Number(nav.getAttribute('data-calendar-nav'));
+      showCalendarDate(delta === 0 ? todayKey() : addMonthsToKey(calendarView.focusKey, delta), false);
+      // Keep focus on the same control after re-rendering
+      const sameNav = calendarSection.querySelector(`[data-calendar-nav="${delta}"]`);
+      if (sameNav) sameNav.focus();
+    });
+
+    calendarSection.addEventListener('keydown', onCalendarKeydown);
+
+    setEventsView(localStorage.getItem(CONFIG.VIEW_STORAGE_KEY) === 'calendar' ? 'calendar' : 'list', false);
+  }
+
+  /**
+   * Set up the filter form: year options from the data, initial values
+   * from the query string and listeners (listeners only once)
+   */
+  function setupEventFilters(events) {
+    const form = document.querySelector('.events-filters');
+    if (!form) return;
+
+    const yearSelect = form.elements.year;
+    if (yearSelect) {
+      const selectedYear = yearSelect.value;
+      Array.from(yearSelect.options)
+        .filter(option => option.value)
+        .forEach(option => option.remove());
+      listEventYears(events).forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        yearSelect.appendChild(option);
+      });
+      yearSelect.value = selectedYear;
+    }
+
+    if (form.hasAttribute('data-ready')) return;
+    form.setAttribute('data-ready', '');
+
+    const filters = parseFilters(window.location.search);
+    Object.keys(filters).forEach(key => {
+      if (form.elements[key]) {
+        form.elements[key].value = filters[key];
+      }
+    });
+
+    form.hidden = false;
+    form.addEventListener('input', () => renderFilteredEvents());
+    form.addEventListener('submit', event => event.preventDefault());
+    form.addEventListener('reset', () => setTimeout(() => renderFilteredEvents(), 0));
   }
 
   /**
@@ -334,68 +1620,26 @@
 
     const pastContainer = pastSection.querySelector('.archive');
 
-    // Show skeletons while loading
-    upcomingContainer.innerHTML = createSkeletonRow() + createSkeletonRow();
-
-    const events = await fetchEvents();
-    const upcoming = events
-      .filter(e => e.status === 'Upcoming')
-      .sort((a, b) => new Date(a.dateISO) - new Date(b.dateISO));
-    const past = events
-      .filter(e => e.status === 'Past')
-      .sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
-
-    // Render upcoming
-    upcomingContainer.innerHTML = '';
-    if (upcoming.length === 0) {
-      upcomingContainer.innerHTML = `<p class="events__empty" data-i18n-pt="${t.noUpcoming}" data-i18n-en="${i18n.en.noUpcoming}">${t.noUpcoming}</p>`;
-    } else {
-      upcoming.forEach(event => {
-        const rowHTML = createEventRow(event, lang);
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = rowHTML;
-        upcomingContainer.appendChild(tempDiv.firstElementChild);
-      });
+    // Show skeletons while loading (prerendered markup stays visible instead)
+    if (!isPrerendered(upcomingContainer)) {
+      upcomingContainer.innerHTML = createSkeletonRow() + createSkeletonRow();
     }
 
-    // Render past
-    if (pastContainer) {
-      pastContainer.innerHTML = '';
-      if (past.length === 0) {
-        pastContainer.innerHTML = `<p class="events__empty" data-i18n-pt="${t.noPast}" data-i18n-en="${i18n.en.noPast}">${t.noPast}</p>`;
-      } else {
-        const groups = groupByYearMonth(past);
-        // Sort month groups: newest first (reverse chronological)
-        Object.keys(groups).sort().reverse().forEach(groupKey => {
-          const groupDiv = document.createElement('div');
-          groupDiv.className = 'archive__group';
-          const groupTitle = document.createElement('h3');
-          groupTitle.className = 'archive__group-title';
-          groupTitle.textContent = groupKey;
-          groupDiv.appendChild(groupTitle);
-
-          const groupList = document.createElement('div');
-          groupList.className = 'event-list';
-          groups[groupKey].forEach(event => {
-            const rowHTML = createEventRow(event, lang);
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = rowHTML;
-            groupList.appendChild(tempDiv.firstElementChild);
-          });
-          groupDiv.appendChild(groupList);
-          pastContainer.appendChild(groupDiv);
-        });
-      }
-    }
+    eventsPageEvents = await fetchEvents();
+    const events = eventsPageEvents;
+
+    setupEventFilters(events);
+    renderFilteredEvents(upcomingContainer, pastContainer);
+    setupEventsView();
 
     // Add organizer CTA after past events
     const organizerCTAContainer = document.querySelector('.events__organizer-cta');
     if (organizerCTAContainer) {
       organizerCTAContainer.style.display = 'block';
       organizerCTAContainer.innerHTML = `
-        <h3 data-i18n-pt="${t.organizerCTA}" data-i18n-en="${i18n.en.organizerCTA}">${t.organizerCTA}</h3>
-        <p data-i18n-pt="${t.organizerCTAText}" data-i18n-en="${i18n.en.organizerCTAText}">${t.organizerCTAText}</p>
-        <a href="/#contact" class="cta-button" data-i18n-pt="${t.organizerCTAButton}" data-i18n-en="${i18n.en.organizerCTAButton}">${t.organizerCTAButton}</a>
+        <h3 data-i18n-pt="${i18n.pt.organizerCTA}" data-i18n-en="${i18n.en.organizerCTA}">${t.organizerCTA}</h3>
+        <p data-i18n-pt="${i18n.pt.organizerCTAText}" data-i18n-en="${i18n.en.organizerCTAText}">${t.organizerCTAText}</p>
+        <a href="/#contact" class="cta-button" data-i18n-pt="${i18n.pt.organizerCTAButton}" data-i18n-en="${i18n.en.organizerCTAButton}">${t.organizerCTAButton}</a>
       `;
     }
 
@@ -408,6 +1652,9 @@
   // Initialize i18n on load
   updateI18n();
 
+  // Local time hints on prerendered markup (e.g. event detail pages)
+  addLocalTimeHints(document);
+
   // Hook into existing language switcher
   const originalSwitchLang = window.switchLang;
   if (typeof originalSwitchLang === 'function') {
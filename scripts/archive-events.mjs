@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Lists the event archive (data/events-archive.json) and hides or restores
+ * archived events.
+ *
+ * Past events stay on the site after they leave Notion (see
+ * scripts/lib/events-archive.mjs). `hide` tombstones one so it is no longer
+ * published, `restore` lifts the tombstone. Both rewrite public/events.json
+ * from the archive and regenerate the calendar feeds, prerendered lists,
+ * event pages and sitemap, like a sync would.
+ *
+ * Usage:
+ *   npm run archive-events                                   List every entry
+ *   npm run archive-events -- hide <id> [--reason <text>]    Tombstone an event
+ *   npm run archive-events -- restore <id>                   Lift a tombstone
+ *
+ * <id> is the Notion page id, or an unambiguous prefix of it.
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { writeCalendarFeeds } from "./generate-calendar.mjs";
+import { prerenderPages } from "./prerender-events.mjs";
+import { writeEventPages } from "./generate-event-pages.mjs";
+import { writeSitemap } from "./generate-sitemap.mjs";
+import { syncNow } from "./lib/event-dates.mjs";
+import { buildEventsEnvelope, validateEventsEnvelope } from "./lib/events-file.mjs";
+import { loadSyncSafetyConfig, createSnapshot, writeFileAtomic } from "./lib/sync-safety.mjs";
+import { SYNC_STATE_FILE } from "./lib/sync-state.mjs";
+import {
+  EVENTS_ARCHIVE_FILE,
+  readArchive,
+  writeArchive,
+  findEntry,
+  entryState,
+  publishedEvents,
+} from "./lib/events-archive.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+// SYNC_ROOT_DIR lets offline runs use a scratch copy of the site
+const ROOT_DIR = process.env.SYNC_ROOT_DIR || join(__dirname, "..");
+
+const STATE_LABELS = {
+  live: "in Notion",
+  archived: "archived",
+  hidden: "hidden",
+  dropped: "dropped",
+};
+
+/**
+ * Prints every entry, oldest event first
+ */
+function listEntries(archive) {
+  const entries = Object.values(archive.entries);
+  if (entries.length === 0) {
+    console.log("The archive is empty");
+    return;
+  }
+  entries.forEach((entry) => {
+    const { id, name, start } = entry.event;
+    const state = entryState(entry);
+    const notes = [];
+    if (entry.hidden && state === "live") notes.push("hidden once it leaves Notion");
+    if (entry.hidden?.reason) notes.push(entry.hidden.reason);
+    const suffix = notes.length ? ` — ${notes.join("; ")}` : "";
+    console.log(`${id}  ${start.slice(0, 10)}  ${STATE_LABELS[state].padEnd(9)}  ${name}${suffix}`);
+  });
+}
+
+/**
+ * Rewrites events.json from the archive and regenerates the site files
+ */
+async function publishArchive(archive) {
+  const outputPath = join(ROOT_DIR, "public", "events.json");
+  const current = JSON.parse(await readFile(outputPath, "utf-8"));
+  const events = publishedEvents(archive);
+
+  const envelope = buildEventsEnvelope(events, {
+    generatedAt: syncNow(),
+    source: current.source || { type: "notion", lastEditedTime: null },
+  });
+  const schemaErrors = await validateEventsEnvelope(envelope);
+  if (schemaErrors.length > 0) {
+    throw new Error(`events.json would not match public/events.schema.json:\n   - ${schemaErrors.join("\n   - ")}`);
+  }
+
+  await writeFileAtomic(outputPath, JSON.stringify(envelope, null, 2));
+  console.log(`✅ Wrote ${events.length} events to ${outputPath}`);
+
+  const publicDir = join(ROOT_DIR, "public");
+  const calendarPaths = await writeCalendarFeeds(events, { outputDir: publicDir });
+  console.log(`✅ Wrote ${calendarPaths.length} calendar feeds`);
+  const prerenderedPaths = await prerenderPages(events, { rootDir: ROOT_DIR });
+  console.log(`✅ Prerendered events into ${prerenderedPaths.length} pages`);
+  const eventPages = await writeEventPages(events, { rootDir: ROOT_DIR });
+  console.log(`✅ Wrote ${eventPages.written.length} event pages (removed ${eventPages.removed.length} stale)`);
+  const sitemap = await writeSitemap(events, { rootDir: ROOT_DIR });
+  console.log(`✅ Wrote sitemap with ${sitemap.urlCount} URLs`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      reason: { type: "string" },
+    },
+  });
+  const [command = "list", id] = positionals;
+
+  const archivePath = join(ROOT_DIR, EVENTS_ARCHIVE_FILE);
+  const archive = await readArchive(archivePath);
+  if (!archive) {
+    throw new Error(`No archive at ${archivePath} yet (the next sync creates it)`);
+  }
+
+  if (command === "list") {
+    listEntries(archive);
+    return;
+  }
+  if (command !== "hide" && command !== "restore") {
+    throw new Error(`Unknown command "${command}" (list, hide or restore)`);
+  }
+  if (!id) {
+    throw new Error(`Usage: npm run archive-events -- ${command} <id>`);
+  }
+
+  const entry = findEntry(archive, id);
+  const { name } = entry.event;
+
+  if (command === "hide") {
+    if (entry.hidden) {
+      console.log(`ℹ️  "${name}" is already hidden`);
+      return;
+    }
+    entry.hidden = { at: new Date().toISOString(), reason: values.reason || null };
+    console.log(`✅ Hid "${name}"`);
+    if (entryState(entry) === "live") {
+      console.warn(
+        "⚠️  It is still visible in Notion and stays on the site until \"Visible on site\" is unticked; it won't be kept in the archive after that."
+      );
+    }
+  } else {
+    if (!entry.hidden) {
+      console.log(`ℹ️  "${name}" is not hidden`);
+      return;
+    }
+    entry.hidden = null;
+    console.log(`✅ Restored "${name}" (${STATE_LABELS[entryState(entry)]})`);
+  }
+
+  // Keep events.json, with the archive and sync state it was published from,
+  // as a snapshot (npm run restore-events) before changing them
+  const safety = await loadSyncSafetyConfig();
+  const snapshotPath = await createSnapshot(join(ROOT_DIR, "public", "events.json"), {
+    dir: join(ROOT_DIR, safety.snapshots.dir),
+    keep: safety.snapshots.keep,
+    now: new Date(),
+    companions: { archive: archivePath, "sync-state": join(ROOT_DIR, SYNC_STATE_FILE) },
+  });
+  if (snapshotPath) {
+    console.log(`✅ Saved the current events to ${snapshotPath}`);
+  }
+
+  await writeArchive(archivePath, archive);
+  console.log(`✅ Updated archive ${archivePath}`);
+  await publishArchive(archive);
+}
+
+main().catch((error) => {
+  console.error("❌ Error:", error.message);
+  process.exit(1);
+});
@@ -1,70 +1,76 @@
 #!/usr/bin/env node
 
 /**
- * Lightweight script to check if Notion database was updated since last sync.
- * Also checks if any events have dates that have passed (for automatic status updates).
+ * Lightweight script to check if Notion pages were edited since last sync:
+ * the same query as an incremental fetch, from the cursor in .sync-state.json
+ * (see scripts/lib/sync-state.mjs). Also checks if any events have dates that
+ * have passed (for automatic status updates), and if the scheduled full
+ * resync is due.
  * Exits with code 0 if fetch is needed, code 1 if skip is needed.
  * This allows the workflow to conditionally run the fetch step.
  */
 
-import { Client } from "@notionhq/client";
-import { readFile } from "fs/promises";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import { normalizeNotionDate, lifecycleStatus, syncNow } from "./lib/event-dates.mjs";
+import { isOfflineMode } from "./lib/notion-client.mjs";
+import { createNotionApi } from "./lib/notion-api.mjs";
+import {
+  SYNC_STATE_FILE,
+  loadIncrementalSyncConfig,
+  readSyncState,
+  isFullResyncDue,
+  editedSince,
+  editedPagesQuery,
+  changedPages,
+} from "./lib/sync-state.mjs";
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const ROOT_DIR = join(__dirname, "..");
+// SYNC_ROOT_DIR lets offline runs use a scratch copy of the site
+const ROOT_DIR = process.env.SYNC_ROOT_DIR || join(__dirname, "..");
 
 const NOTION_API_KEY = process.env.NOTION_API_KEY;
 const NOTION_EVENTS_DATABASE_ID = process.env.NOTION_EVENTS_DATABASE;
 
-if (!NOTION_API_KEY || !NOTION_EVENTS_DATABASE_ID) {
+if ((!NOTION_API_KEY && !isOfflineMode()) || !NOTION_EVENTS_DATABASE_ID) {
   // If credentials missing, assume we should fetch (fail-safe)
   console.log("⚠️  Missing credentials, will fetch to be safe");
   process.exit(0);
 }
 
-const notion = new Client({ auth: NOTION_API_KEY });
+const notion = createNotionApi({ auth: NOTION_API_KEY });
 
-async function readLastSyncTimestamp() {
-  const syncFile = join(ROOT_DIR, ".last-sync");
-  try {
-    const content = await readFile(syncFile, "utf-8");
-    return content.trim();
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      return null;
-    }
-    throw err;
-  }
-}
-
-async function getDatabaseLastEditedTime() {
+/**
+ * Pages edited since the last sync that it hasn't seen, with the query of an
+ * incremental fetch (editing a page doesn't reliably move the database's own
+ * last_edited_time)
+ *
+ * @returns {Promise<Array<object>|null>} null when Notion can't be queried
+ */
+async function getChangedPages(state, config) {
   try {
-    const database = await notion.databases.retrieve({
-      database_id: NOTION_EVENTS_DATABASE_ID,
-    });
-    return database.last_edited_time;
+    const pages = await notion.queryDatabase(editedPagesQuery(NOTION_EVENTS_DATABASE_ID, editedSince(state, config)));
+    return changedPages(pages, state);
   } catch (error) {
-    console.warn("⚠️  Could not retrieve database metadata:", error.message);
+    console.warn("⚠️  Could not query the edited pages:", error.message);
     // If we can't check, assume we should fetch (fail-safe)
     return null;
   }
 }
 
 /**
- * Check if any events have dates that have passed since last sync
- * This ensures we update status from Upcoming to Past even if database wasn't edited
+ * Check if any events have started or ended since their status was set
+ * This ensures we update status (Upcoming → Ongoing → Past) even if no page was edited
  */
-async function checkForDateBasedStatusChanges(lastSyncDate) {
+async function checkForDateBasedStatusChanges() {
   try {
-    // Query for events that are marked as Upcoming
+    // Query for events that are marked as Upcoming or Ongoing
     // We only need to find ONE event that needs updating to trigger fetch
-    const response = await notion.databases.query({
+    const pages = await notion.queryDatabase({
       database_id: NOTION_EVENTS_DATABASE_ID,
       filter: {
         and: [
@@ -75,33 +81,32 @@ async function checkForDateBasedStatusChanges(lastSyncDate) {
             },
           },
           {
-            property: "Status",
-            status: {
-              equals: "Upcoming",
-            },
+            or: [
+              { property: "Status", status: { equals: "Upcoming" } },
+              { property: "Status", status: { equals: "Ongoing" } },
+            ],
           },
         ],
       },
-      page_size: 10, // Only need to check a few - if we find one, that's enough
+      sorts: [{ property: "Date", direction: "ascending" }],
     });
 
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
+    const now = syncNow();
 
-    // Check if any Upcoming events have dates in the past
-    // We check all past events, not just ones that passed since last sync
+    // Check if any events have started or ended
+    // We check all of them, not just ones that changed since last sync
     // (in case previous syncs failed or were skipped)
-    for (const page of response.results) {
+    for (const page of pages) {
       const dateProp = page.properties.Date || page.properties.date;
-      if (dateProp && dateProp.type === "date" && dateProp.date) {
-        const eventDate = new Date(dateProp.date.start);
-        eventDate.setHours(0, 0, 0, 0);
-        
-        if (eventDate < now) {
-          const eventName = page.properties.Name?.title?.[0]?.plain_text || page.properties.name?.title?.[0]?.plain_text || "Unknown";
-          console.log(`🔄 Found Upcoming event with date that passed: "${eventName}" (${dateProp.date.start})`);
-          return true;
-        }
+      const range = dateProp && dateProp.type === "date" ? normalizeNotionDate(dateProp.date) : null;
+      if (!range) continue;
+
+      const currentStatus = page.properties.Status?.status?.name;
+      const status = lifecycleStatus({ start: range.start, end: range.end }, now);
+      if (status !== currentStatus && status !== "Upcoming") {
+        const eventName = page.properties.Name?.title?.[0]?.plain_text || page.properties.name?.title?.[0]?.plain_text || "Unknown";
+        console.log(`🔄 Found ${currentStatus} event that is now ${status}: "${eventName}" (${dateProp.date.start})`);
+        return true;
       }
     }
 
@@ -114,48 +119,45 @@ async function checkForDateBasedStatusChanges(lastSyncDate) {
 }
 
 async function checkIfFetchNeeded() {
-  const lastSyncTimestamp = await readLastSyncTimestamp();
-  const databaseLastEdited = await getDatabaseLastEditedTime();
+  const state = await readSyncState(join(ROOT_DIR, SYNC_STATE_FILE));
 
-  // If no last sync timestamp exists, we need to fetch
-  if (!lastSyncTimestamp) {
-    console.log("ℹ️  No previous sync found, fetch needed");
+  // Without a sync state (cursor) there is nothing to compare with
+  if (!state?.cursor) {
+    console.log("ℹ️  No previous sync state found, fetch needed");
     return true;
   }
 
-  const lastSyncDate = new Date(lastSyncTimestamp);
-  lastSyncDate.setHours(0, 0, 0, 0);
-
-  // If we couldn't get database metadata, fetch to be safe
-  if (!databaseLastEdited) {
-    console.log("ℹ️  Could not check database timestamp, fetch needed");
+  // Deleted pages only disappear from events.json in a full resync
+  const config = await loadIncrementalSyncConfig();
+  if (config.enabled && isFullResyncDue(state, config, syncNow())) {
+    console.log(`🔄 Full resync due (every ${config.fullResyncHours}h), fetch needed`);
     return true;
   }
 
-  const dbEditedDate = new Date(databaseLastEdited);
-
-  // Check if database was edited since last sync
-  const dbWasUpdated = dbEditedDate > lastSyncDate;
+  const edited = await getChangedPages(state, config);
+  if (!edited) {
+    console.log("ℹ️  Could not check for edited pages, fetch needed");
+    return true;
+  }
 
   // Also check if any events have dates that passed (for automatic status updates)
-  // This is important because date-based status changes don't update database last_edited_time
-  const hasDateBasedChanges = await checkForDateBasedStatusChanges(lastSyncDate);
+  // This is important because date-based status changes don't edit any page
+  const hasDateBasedChanges = await checkForDateBasedStatusChanges();
 
-  if (!dbWasUpdated && !hasDateBasedChanges) {
-    console.log("✅ Database not updated and no date-based status changes, skip fetch");
-    console.log(`   Last sync: ${lastSyncTimestamp}`);
-    console.log(`   DB last edited: ${databaseLastEdited}`);
+  if (edited.length === 0 && !hasDateBasedChanges) {
+    console.log("✅ No pages edited and no date-based status changes, skip fetch");
+    console.log(`   Last sync cursor: ${state.cursor}`);
     return false;
   }
 
-  if (dbWasUpdated) {
-    console.log(`🔄 Database updated since last sync, fetch needed`);
-    console.log(`   Last sync: ${lastSyncTimestamp}`);
-    console.log(`   DB last edited: ${databaseLastEdited}`);
+  if (edited.length > 0) {
+    console.log(`🔄 ${edited.length} page(s) edited since the last sync, fetch needed`);
+    console.log(`   Last sync cursor: ${state.cursor}`);
+    edited.forEach((page) => console.log(`   - ${page.id} (${page.last_edited_time})`));
   }
-  
+
   if (hasDateBasedChanges) {
-    console.log(`🔄 Events with dates that passed found, fetch needed for status updates`);
+    console.log(`🔄 Events that started or ended found, fetch needed for status updates`);
   }
 
   return true;
@@ -2,47 +2,213 @@
 
 /**
  * Fetches events from Notion Events database and writes them to a static JSON file.
- * Also automatically updates event Status in Notion (Upcoming → Past) based on date.
+ * Also automatically updates event Status in Notion (Upcoming → Ongoing → Past)
+ * based on the event's start and end in Europe/Lisbon time.
  * 
  * This script is meant to be run locally or in a GitHub Action.
  * The frontend should only ever see the generated events.json file.
  * 
  * Features:
  * - Automatically updates Status in Notion database (replaces Notion automation)
- * - Excludes Place data (Place Name, Place Link) for security (secret locations)
+ * - Writes a versioned envelope validated against public/events.schema.json
+ * - Keeps end times, all-day flags and multi-day ranges (end, allDay, timeZone)
+ * - Passes Cancelled / Postponed / Rescheduled statuses through (never auto-updated)
+ * - Only publishes the properties allowlisted in scripts/config/notion-properties.json
+ *   (Place data and any other column stay private, e.g. secret locations)
+ * - Publishes as much of the venue (Places relation) as each event's
+ *   "Location Visibility" allows: nothing, the neighbourhood, or all of it
  * - Only fetches events marked as "Visible on site"
+ * - Publishes the PT/EN sections of each event's page content as its
+ *   description (see scripts/lib/notion-content.mjs)
+ * - Resolves the Speakers relation into the speakers and talks of each event
+ * - Mirrors cover images into assets/images/events/ as resized WebP/JPEG
+ *   files (see scripts/lib/event-images.mjs)
+ * - Imports partner events from the calendar feeds in
+ *   scripts/config/event-sources.json, once each: Notion wins over a feed
+ *   (see scripts/lib/event-sources.mjs)
+ * - Keeps past events that leave Notion listed, through the archive in
+ *   data/events-archive.json (see scripts/lib/events-archive.mjs)
+ * - Only fetches the pages edited since the last sync, with a scheduled full
+ *   resync (see scripts/lib/sync-state.mjs)
+ * - Generates iCalendar feeds (public/events*.ics) alongside the JSON
+ * - Prerenders the event lists into index.html and events.html
+ * - Generates a detail page per event (events/<slug>/index.html)
+ * - Regenerates sitemap.xml and robots.txt
  * 
  * Usage:
  *   1. Set environment variables:
  *      - NOTION_API_KEY: Your Notion integration API key
  *      - NOTION_EVENTS_DATABASE_ID: The ID of your Events database
- *   2. Run: node scripts/fetch-events-from-notion.mjs
+ *   2. Run: node scripts/fetch-events-from-notion.mjs [options]
+ *      (--help lists the options, e.g. --dry-run; or run offline against
+ *      fixtures: see scripts/lib/notion-client.mjs and `npm run test-sync`)
  *   3. The script will:
- *      - Update Status in Notion for past events
- *      - Create/update public/events.json
+ *      - Update Status in Notion for ongoing and past events
+ *      - Create/update public/events.json and data/events-archive.json
+ *      - Download new cover images, delete the ones no event uses anymore
+ *      - Create/update public/events.ics (+ per-type feeds)
+ *      - Prerender events into index.html and events.html
+ *      - Create/update events/<slug>/index.html detail pages
+ *      - Create/update sitemap.xml and robots.txt
  * 
  * Note: The Notion integration must have write access to update Status.
  */
 
-import { Client } from "@notionhq/client";
 import { writeFile, mkdir, readFile } from "fs/promises";
-import { dirname, join } from "path";
+import { dirname, join, resolve } from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
 import { createHash } from "crypto";
 import dotenv from "dotenv";
+import { createTwoFilesPatch } from "diff";
+import { writeCalendarFeeds } from "./generate-calendar.mjs";
+import { prerenderPages } from "./prerender-events.mjs";
+import { writeEventPages } from "./generate-event-pages.mjs";
+import { writeSitemap } from "./generate-sitemap.mjs";
+import {
+  normalizeNotionDate,
+  lifecycleStatus,
+  formatDatePretty,
+  MANUAL_STATUSES,
+  normalizeStatus,
+  syncNow,
+} from "./lib/event-dates.mjs";
+import { isOfflineMode, readFixtureFile } from "./lib/notion-client.mjs";
+import { createNotionApi } from "./lib/notion-api.mjs";
+import { fetchPageBlocks, renderDescription } from "./lib/notion-content.mjs";
+import { buildEventsEnvelope, eventsFromJson, validateEventsEnvelope } from "./lib/events-file.mjs";
+import {
+  loadPublishedProperties,
+  loadSpeakerProperties,
+  loadPlaceProperties,
+  checkDatabaseProperties,
+  readPublishedFields,
+  normalizeLocationVisibility,
+  placePropertiesFor,
+  LOCATION_VISIBILITIES,
+} from "./lib/notion-properties.mjs";
+import { relationIds, relatedDatabaseId, createRelatedPages } from "./lib/notion-relations.mjs";
+import {
+  loadImagesConfig,
+  readImageManifest,
+  writeImageManifest,
+  createImageMirror,
+  pruneImages,
+} from "./lib/event-images.mjs";
+import { loadEventSourcesConfig, importEvents, mergeImportedEvents, isImportedEvent } from "./lib/event-sources.mjs";
+import { diffEvents, formatChangelog } from "./lib/changelog.mjs";
+import { loadSyncSafetyConfig, checkGuardrails, writeFileAtomic, createSnapshot } from "./lib/sync-safety.mjs";
+import {
+  EVENTS_ARCHIVE_FILE,
+  readArchive,
+  seedArchive,
+  updateArchive,
+  formatArchive,
+  writeArchive,
+  liveEvents,
+  publishedEvents,
+  isRetained,
+} from "./lib/events-archive.mjs";
+import {
+  SYNC_STATE_FILE,
+  loadIncrementalSyncConfig,
+  readSyncState,
+  writeSyncState,
+  propertiesHash,
+  planSync,
+  editedPagesQuery,
+  changedPages,
+  isVisibleOnSite,
+  mergeEditedEvents,
+  nextSyncState,
+} from "./lib/sync-state.mjs";
 
 // Load environment variables from .env file if it exists
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const ROOT_DIR = join(__dirname, "..");
+// SYNC_ROOT_DIR lets offline runs write into a scratch copy of the site
+const ROOT_DIR = process.env.SYNC_ROOT_DIR || join(__dirname, "..");
+
+const USAGE = `Usage: node scripts/fetch-events-from-notion.mjs [options]
+
+Options:
+  --dry-run             Show the status changes and the events.json diff, write nothing
+  --no-status-updates   Don't update Status in Notion
+  --output <path>       Write the events file to <path> only (archive, sync state,
+                        images, feeds, pages, sitemap and .last-sync are left untouched)
+  --debug-properties    List the Notion properties of the first event
+  --since <timestamp>   List the events edited in Notion since <timestamp> (ISO 8601)
+  --changelog <path>    Write the change report (PT/EN) to <path> when events change
+  --full                Fetch every visible page instead of only the ones edited
+                        since the last sync (see scripts/config/incremental-sync.json)
+  --force               Write even if the guardrails (scripts/config/sync-safety.json)
+                        would refuse, e.g. when most events are removed
+  --json                Print a JSON summary on stdout (logs go to stderr)
+  -h, --help            Show this help`;
+
+/**
+ * Parses the command line options
+ */
+function parseCliOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      "no-status-updates": { type: "boolean", default: false },
+      output: { type: "string" },
+      "debug-properties": { type: "boolean", default: false },
+      since: { type: "string" },
+      changelog: { type: "string" },
+      full: { type: "boolean", default: false },
+      force: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  let since = null;
+  if (values.since !== undefined) {
+    since = new Date(values.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new Error(`Invalid --since timestamp: ${values.since}`);
+    }
+  }
+
+  return {
+    dryRun: values["dry-run"],
+    statusUpdates: !values["no-status-updates"],
+    output: values.output ? resolve(values.output) : null,
+    debugProperties: values["debug-properties"],
+    since,
+    changelog: values.changelog ? resolve(values.changelog) : null,
+    full: values.full,
+    force: values.force,
+    json: values.json,
+    help: values.help,
+  };
+}
+
+let cliOptions;
+try {
+  cliOptions = parseCliOptions(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+if (cliOptions.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
 
 // Read environment variables
 const NOTION_API_KEY = process.env.NOTION_API_KEY;
 const NOTION_EVENTS_DATABASE_ID = process.env.NOTION_EVENTS_DATABASE;
+// Optional: the Location relation must point to this database when set
+const NOTION_PLACES_DATABASE_ID = process.env.NOTION_PLACES_DATABASE;
 
-if (!NOTION_API_KEY) {
+if (!NOTION_API_KEY && !isOfflineMode()) {
   console.error("❌ Error: NOTION_API_KEY environment variable is not set");
   process.exit(1);
 }
@@ -52,186 +218,345 @@ if (!NOTION_EVENTS_DATABASE_ID) {
   process.exit(1);
 }
 
-// Initialize Notion client
-const notion = new Client({ auth: NOTION_API_KEY });
+// Initialize Notion access (paginated, throttled, retried; fixture
+// stand-in when NOTION_FIXTURES is set)
+const notion = createNotionApi({ auth: NOTION_API_KEY });
 
 /**
- * Formats a date to a pretty string (e.g., "12 Nov 2025, 19:00")
+ * Maps a Notion page to an event in the events.json format
+ * (see public/events.schema.json)
+ *
+ * Only the properties allowlisted in scripts/config/notion-properties.json
+ * are read; returns null when a required one is empty.
  */
-function formatDatePretty(dateString) {
-  if (!dateString) return null;
-  
-  const date = new Date(dateString);
-  const formatter = new Intl.DateTimeFormat("en-GB", {
-    day: "numeric",
-    month: "short",
-    year: "numeric",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-  });
-  
-  return formatter.format(date).replace(",", "");
+function mapEvent(page, published, debug = false) {
+  // Debug: log all available property names
+  if (debug) {
+    const allowlisted = published.map((entry) => entry.notion);
+    console.log("\n📋 Available properties in Notion:");
+    Object.keys(page.properties).forEach((key) => {
+      const note = allowlisted.includes(key) ? "published" : "not published";
+      console.log(`  - "${key}" (type: ${page.properties[key].type}, ${note})`);
+    });
+  }
+
+  const { fields, missing } = readPublishedFields(page, published);
+  if (missing.length > 0) {
+    console.warn(`⚠️  Skipping page ${page.id}: empty ${missing.map((name) => `"${name}"`).join(", ")}`);
+    return null;
+  }
+
+  // Page objects hold the first 25 related pages only
+  const speakersProperty = published.find((entry) => entry.output === "speakers");
+  if (speakersProperty && relationIds(page.properties[speakersProperty.notion]).truncated) {
+    console.warn(`⚠️  "${fields.name}" has more than 25 speakers, only the first 25 are published`);
+  }
+
+  // The venue stays secret unless the event says how much of it to show
+  let locationSource = null;
+  if (published.some((entry) => entry.output === "location")) {
+    let visibility = normalizeLocationVisibility(fields.locationVisibility);
+    if (!visibility) {
+      console.warn(`⚠️  "${fields.name}": unknown location visibility "${fields.locationVisibility}", keeping the venue hidden`);
+      visibility = "hidden";
+    }
+    const [placeId] = fields.location || [];
+    locationSource = visibility !== "hidden" && placeId ? { placeId, visibility } : null;
+  }
+
+  // Cancelled / Postponed / Rescheduled are set by hand; rescheduled events
+  // can record their original date in "Previous Date" (schema.org previousStartDate)
+  const status = normalizeStatus(fields.status) || null;
+  const dateRange = fields.date;
+
+  return {
+    // Notion page id gives each event a stable identity (e.g. calendar UIDs)
+    id: page.id,
+    name: fields.name,
+    start: dateRange?.start || null,
+    end: dateRange?.end || null,
+    allDay: dateRange?.allDay || false,
+    timeZone: dateRange?.timeZone || null,
+    status,
+    previousStart: status === "Rescheduled" && fields.previousDate ? fields.previousDate.start : null,
+    type: fields.type,
+    languages: fields.languages || [],
+    link: fields.link,
+    datePretty: dateRange ? formatDatePretty(dateRange.start, { allDay: dateRange.allDay }) : null,
+    // Last edit time feeds sitemap lastmod and calendar DTSTAMP
+    lastEditedTime: page.last_edited_time || null,
+    // Related pages, replaced with `speakers` by addSpeakers()
+    speakerIds: fields.speakers || [],
+    // Place to read, replaced with `location` by addLocations()
+    locationSource,
+    // Image to mirror, replaced with `cover` by addCovers()
+    coverSource: published.some((entry) => entry.output === "cover") ? coverSource(fields.cover, page.cover) : null,
+  };
 }
 
 /**
- * Extracts a value from any Notion property type
+ * Maps a page of the places database to an event's location, reading only
+ * the place properties the visibility allows (`placeProperties` of
+ * notion-properties.json)
+ *
+ * @param {object} page
+ * @param {Array<object>} placeProperties - From loadPlaceProperties()
+ * @param {string} visibility - "neighbourhood" or "full"
+ * @returns {object|null} Null when none of the allowed properties is set
  */
-function extractPropertyValue(property) {
-  if (!property || !property.type) {
-    return null;
+function mapPlace(page, placeProperties, visibility) {
+  const { fields } = readPublishedFields(page, placePropertiesFor(placeProperties, visibility));
+  const location = {
+    visibility,
+    name: fields.name ?? null,
+    address: fields.address ?? null,
+    neighbourhood: fields.neighbourhood ?? null,
+    city: fields.city ?? null,
+    mapLink: fields.mapLink ? publicUrl(fields.mapLink) : null,
+  };
+  return Object.entries(location).some(([key, value]) => key !== "visibility" && value) ? location : null;
+}
+
+/**
+ * Image of an event: the first file or link of the cover property, or else
+ * the page cover
+ *
+ * @returns {{url: string, hosted: boolean}|null} `hosted` for files uploaded
+ *   to Notion (signed URLs that expire)
+ */
+function coverSource(value, pageCover) {
+  if (Array.isArray(value) && value.length > 0) {
+    const file = value.find((entry) => entry.url);
+    return file ? { url: file.url, hosted: file.type === "file" } : null;
   }
+  if (typeof value === "string") {
+    const url = publicUrl(value);
+    return url ? { url, hosted: false } : null;
+  }
+  if (pageCover?.type === "file" || pageCover?.type === "external") {
+    const url = pageCover[pageCover.type]?.url;
+    return url ? { url, hosted: pageCover.type === "file" } : null;
+  }
+  return null;
+}
 
-  switch (property.type) {
-    case "title":
-      return property.title?.map((text) => text.plain_text).join("") || null;
-    
-    case "rich_text":
-      return property.rich_text?.map((text) => text.plain_text).join("") || null;
-    
-    case "number":
-      return property.number;
-    
-    case "select":
-      return property.select?.name || null;
-    
-    case "multi_select":
-      return property.multi_select?.map((item) => item.name) || [];
-    
-    case "date":
-      return property.date?.start || null;
-    
-    case "checkbox":
-      return property.checkbox || false;
-    
-    case "url":
-      return property.url || null;
-    
-    case "email":
-      return property.email || null;
-    
-    case "phone_number":
-      return property.phone_number || null;
-    
-    case "status":
-      return property.status?.name || null;
-    
-    case "relation":
-      // Relations return array of page IDs
-      return property.relation?.map((rel) => rel.id) || [];
-    
-    case "rollup":
-      // Rollups can be various types, try to extract the value
-      if (property.rollup?.array) {
-        return property.rollup.array.map((item) => {
-          if (item.type === "title") {
-            return item.title?.map((text) => text.plain_text).join("") || null;
-          }
-          return extractPropertyValue(item);
-        }).filter((v) => v !== null);
-      }
-      return property.rollup?.number || null;
-    
-    case "formula":
-      // Formulas can be various types
-      if (property.formula?.type === "string") {
-        return property.formula.string || null;
-      }
-      if (property.formula?.type === "number") {
-        return property.formula.number;
-      }
-      if (property.formula?.type === "boolean") {
-        return property.formula.boolean;
-      }
-      if (property.formula?.type === "date") {
-        return property.formula.date?.start || null;
-      }
-      return null;
-    
-    case "created_time":
-      return property.created_time || null;
-    
-    case "last_edited_time":
-      return property.last_edited_time || null;
-    
-    case "created_by":
-      return property.created_by?.id || null;
-    
-    case "last_edited_by":
-      return property.last_edited_by?.id || null;
-    
-    case "people":
-      return property.people?.map((person) => person.id) || [];
-    
-    case "files":
-      return property.files?.map((file) => ({
-        name: file.name,
-        url: file.file?.url || file.external?.url || null,
-      })) || [];
-    
-    default:
-      // For unknown types, try to return the raw value or null
-      console.warn(`⚠️  Unknown property type: ${property.type}`);
-      return null;
+/**
+ * Keeps a URL only if it is a public http(s) one
+ */
+function publicUrl(value) {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
   }
 }
 
 /**
- * Maps a Notion page to a simple event object with all properties
+ * Maps a page of the speakers database to a speaker in the events.json
+ * format (the allowlist in `speakerProperties` of notion-properties.json)
+ *
+ * Returns null when a required property is empty.
  */
-function mapEvent(page, debug = false) {
-  const props = page.properties;
-  const event = {};
-
-  // Properties to exclude from the output
-  const excludedProperties = [
-    'Location', // Relation to places database (we use Place lookup instead)
-    'Place Name', // Venue name - not displayed on site (location provided in event details)
-    'Place Link', // Venue link - not displayed on site (location provided in event details)
-    'Visible on site', // Filter property, not needed in output
-  ];
+function mapSpeaker(page, speakerProperties) {
+  const { fields, missing } = readPublishedFields(page, speakerProperties);
+  if (missing.length > 0) {
+    console.warn(`⚠️  Skipping speaker ${page.id}: empty ${missing.map((name) => `"${name}"`).join(", ")}`);
+    return null;
+  }
 
-  // Debug: log all available property names
-  if (debug) {
-    console.log("\n📋 Available properties in Notion:");
-    Object.keys(props).forEach(key => {
-      console.log(`  - "${key}" (type: ${props[key].type})`);
-    });
+  // Files uploaded to Notion have URLs that expire after an hour
+  const photo = Array.isArray(fields.photo)
+    ? fields.photo.find((file) => file.type === "external")?.url
+    : fields.photo;
+  if (Array.isArray(fields.photo) && !photo) {
+    console.warn(`⚠️  Speaker "${fields.name}": left out a photo uploaded to Notion (only public links are published)`);
   }
 
-  // Extract all properties generically, excluding specified ones
-  Object.keys(props).forEach((key) => {
-    // Skip excluded properties (including Place data for security - secret locations)
-    if (excludedProperties.includes(key)) {
-      if (debug) {
-        console.log(`   ⏭️  Skipping excluded property: "${key}"`);
+  return {
+    name: fields.name,
+    talk: fields.talk,
+    photo: photo ? publicUrl(photo) : null,
+    link: fields.link ? publicUrl(fields.link) : null,
+  };
+}
+
+/**
+ * Replaces the related page ids of new or edited events (`speakerIds`, from
+ * mapEvent()) with their speakers; the other events keep the speakers
+ * stored in the archive. An event whose speakers can't be read keeps its
+ * previous ones.
+ *
+ * @param {Array<object>} events
+ * @param {object} options
+ * @param {Array<object>} options.speakerProperties - From loadSpeakerProperties()
+ * @param {Array<object>} options.previous - Events of the last sync
+ * @returns {Promise<{events: Array<object>, pagesRead: number, failed: Array<object>}>}
+ */
+async function addSpeakers(events, { speakerProperties, previous }) {
+  const previousById = new Map(previous.map((event) => [event.id, event]));
+  const related = createRelatedPages(notion);
+  const result = { events: [], pagesRead: 0, failed: [] };
+
+  for (const event of events) {
+    if (!("speakerIds" in event)) {
+      result.events.push(event);
+      continue;
+    }
+
+    const { speakerIds, ...rest } = event;
+    let speakers = [];
+    try {
+      for (const id of speakerIds) {
+        const page = await related.get(id);
+        if (!page) {
+          console.warn(`⚠️  "${event.name}": speaker ${id} not found (deleted, or its database isn't shared with the integration)`);
+          continue;
+        }
+        const speaker = mapSpeaker(page, speakerProperties);
+        if (speaker) speakers.push(speaker);
       }
-      return;
+    } catch (error) {
+      console.warn(`⚠️  Could not read the speakers of "${event.name}", keeping the previous ones: ${error.message}`);
+      speakers = previousById.get(event.id)?.speakers || [];
+      result.failed.push({ id: event.id, name: event.name, error: error.message });
     }
+    result.events.push({ ...rest, speakers });
+  }
 
-    const value = extractPropertyValue(props[key]);
-    // Only include non-null values (or include them if you want to see empty fields)
-    if (value !== null && value !== undefined) {
-      event[key] = value;
+  result.pagesRead = related.size;
+  return result;
+}
+
+/**
+ * Replaces the place of new or edited events (`locationSource`, from
+ * mapEvent()) with the part of it their visibility allows; the other events
+ * keep the location stored in the archive. An event whose place can't be
+ * read keeps its previous location, unless it showed more than allowed now.
+ *
+ * @param {Array<object>} events
+ * @param {object} options
+ * @param {Array<object>} options.placeProperties - From loadPlaceProperties()
+ * @param {Array<object>} options.previous - Events of the last sync
+ * @returns {Promise<{events: Array<object>, pagesRead: number, failed: Array<object>}>}
+ */
+async function addLocations(events, { placeProperties, previous }) {
+  const previousById = new Map(previous.map((event) => [event.id, event]));
+  const related = createRelatedPages(notion);
+  const result = { events: [], pagesRead: 0, failed: [] };
+
+  for (const event of events) {
+    if (!("locationSource" in event)) {
+      result.events.push(event);
+      continue;
     }
-  });
-  
-  // Double-check: Ensure Place data is never included (security measure)
-  delete event['Place Name'];
-  delete event['Place Link'];
-  delete event['Place'];
 
-  // Add pretty date formatting if Date property exists
-  if (event.Date) {
-    event.datePretty = formatDatePretty(event.Date);
+    const { locationSource: source, ...rest } = event;
+    let location = null;
+    if (source) {
+      try {
+        const page = await related.get(source.placeId);
+        if (page) {
+          location = mapPlace(page, placeProperties, source.visibility);
+        } else {
+          console.warn(`⚠️  "${event.name}": place ${source.placeId} not found (deleted, or its database isn't shared with the integration)`);
+        }
+      } catch (error) {
+        const kept = previousById.get(event.id)?.location;
+        const allowed = LOCATION_VISIBILITIES.indexOf(source.visibility);
+        location = kept && LOCATION_VISIBILITIES.indexOf(kept.visibility) <= allowed ? kept : null;
+        console.warn(`⚠️  Could not read the place of "${event.name}", ${location ? "keeping the previous location" : "leaving it out"}: ${error.message}`);
+        result.failed.push({ id: event.id, name: event.name, error: error.message });
+      }
+    }
+    result.events.push({ ...rest, location });
   }
-  // Also check for lowercase 'date' or other variations
-  if (!event.datePretty && event.date) {
-    event.datePretty = formatDatePretty(event.date);
+
+  result.pagesRead = related.size;
+  return result;
+}
+
+/**
+ * Replaces the image of new or edited events (`coverSource`, from mapEvent())
+ * with its mirrored files; the other events keep the cover stored in the
+ * archive. An event whose image can't be mirrored keeps its previous cover.
+ *
+ * @param {Array<object>} events
+ * @param {object} options
+ * @param {object} options.mirror - From createImageMirror()
+ * @param {Array<object>} options.previous - Events of the last sync
+ * @returns {Promise<{events: Array<object>, failed: Array<object>}>}
+ */
+async function addCovers(events, { mirror, previous }) {
+  const previousById = new Map(previous.map((event) => [event.id, event]));
+  const result = { events: [], failed: [] };
+
+  for (const event of events) {
+    if (!("coverSource" in event)) {
+      result.events.push(event);
+      continue;
+    }
+
+    const { coverSource: source, ...rest } = event;
+    let cover = null;
+    if (source) {
+      try {
+        cover = await mirror.mirror(source);
+      } catch (error) {
+        console.warn(`⚠️  Could not mirror the cover of "${event.name}", keeping the previous one: ${error.message}`);
+        cover = previousById.get(event.id)?.cover ?? null;
+        result.failed.push({ id: event.id, name: event.name, error: error.message });
+      }
+    }
+    result.events.push({ ...rest, cover });
   }
 
+  return result;
+}
+
+/**
+ * Adds each event's description, read from the content of its Notion page
+ *
+ * Full syncs read every page; incremental ones only the pages they mapped,
+ * the others keep the description stored in the archive. A page whose
+ * content can't be read keeps its previous description.
+ *
+ * @param {Array<object>} events
+ * @param {object} options
+ * @param {boolean} options.readAll - Read every page, not only new or edited events
+ * @param {Array<object>} options.previous - Events of the last sync
+ * @returns {Promise<{events: Array<object>, pagesRead: number, failed: Array<object>}>}
+ */
+async function addDescriptions(events, { readAll, previous }) {
+  const previousById = new Map(previous.map((event) => [event.id, event]));
+  const result = { events: [], pagesRead: 0, failed: [] };
+
+  for (const event of events) {
+    if (!readAll && "description" in event) {
+      result.events.push(event);
+      continue;
+    }
+
+    let description;
+    try {
+      const content = renderDescription(await fetchPageBlocks(notion, event.id));
+      description = content.description;
+      result.pagesRead++;
+      if (content.unsupported.length > 0) {
+        console.log(`   ℹ️  "${event.name}": left out ${content.unsupported.join(", ")} blocks`);
+      }
+      if (content.skippedImages > 0) {
+        console.warn(`⚠️  "${event.name}": left out ${content.skippedImages} image(s) without a public URL (images uploaded to Notion expire)`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read the page content of "${event.name}", keeping its previous description: ${error.message}`);
+      description = previousById.get(event.id)?.description ?? null;
+      result.failed.push({ id: event.id, name: event.name, error: error.message });
+    }
+    result.events.push({ ...event, description });
+  }
 
-  return event;
+  return result;
 }
 
 /**
@@ -263,9 +588,7 @@ async function writeLastSyncTimestamp(timestamp) {
  */
 async function getDatabaseLastEditedTime() {
   try {
-    const database = await notion.databases.retrieve({
-      database_id: NOTION_EVENTS_DATABASE_ID,
-    });
+    const database = await notion.retrieveDatabase(NOTION_EVENTS_DATABASE_ID);
     return database.last_edited_time;
   } catch (error) {
     console.warn("⚠️  Could not retrieve database metadata, proceeding with fetch:", error.message);
@@ -273,52 +596,89 @@ async function getDatabaseLastEditedTime() {
   }
 }
 
+/**
+ * Database ids compare without dashes (Notion accepts both forms)
+ */
+function sameDatabaseId(a, b) {
+  return a.replace(/-/g, "").toLowerCase() === b.replace(/-/g, "").toLowerCase();
+}
+
+/**
+ * Checks the allowlisted properties against the database, failing the sync
+ * when a required one is missing or any has an unexpected type
+ */
+async function checkPublishedProperties(published, speakerProperties, placeProperties) {
+  const database = await notion.retrieveDatabase(NOTION_EVENTS_DATABASE_ID);
+  const { errors, warnings } = checkDatabaseProperties(published, database.properties);
+
+  // The speakers and places databases have allowlists of their own
+  const relatedDatabases = [
+    { output: "speakers", label: "Speakers database", properties: speakerProperties },
+    { output: "location", label: "Places database", properties: placeProperties, expectedId: NOTION_PLACES_DATABASE_ID },
+  ];
+  for (const { output, label, properties, expectedId } of relatedDatabases) {
+    const relationProperty = published.find((entry) => entry.output === output)?.notion;
+    const relatedId = relatedDatabaseId(database.properties, relationProperty);
+    if (!relatedId) continue;
+    if (expectedId && !sameDatabaseId(relatedId, expectedId)) {
+      errors.push(`"${relationProperty}" points to database ${relatedId}, not NOTION_PLACES_DATABASE (${expectedId})`);
+      continue;
+    }
+    const relatedDatabase = await notion.retrieveDatabase(relatedId);
+    const check = checkDatabaseProperties(properties, relatedDatabase.properties);
+    errors.push(...check.errors.map((message) => `${label}: ${message}`));
+    warnings.push(...check.warnings.map((message) => `${label}: ${message}`));
+  }
+
+  warnings.forEach((message) => console.warn(`⚠️  ${message}`));
+  if (errors.length > 0) {
+    throw new Error(
+      `Notion database doesn't match scripts/config/notion-properties.json:\n   - ${errors.join("\n   - ")}`
+    );
+  }
+}
+
 /**
  * Updates event Status in Notion database based on date
  * Since Notion free plan can't automate, we do it here via GitHub Actions
+ *
+ * Upcoming → Ongoing once an event starts, → Past only after it has ended
+ * (end time, or start + default duration), compared as instants so the
+ * runner's timezone doesn't matter.
+ *
+ * @param {object} options
+ * @param {boolean} options.dryRun - Only report the changes
+ * @returns {Promise<{planned: Array<object>, updated: number, failed: Array<object>, error?: string}>}
  */
-async function updateEventStatusesInNotion() {
+async function updateEventStatusesInNotion({ dryRun }) {
+  const result = { planned: [], updated: 0, failed: [] };
+
   try {
     console.log("🔄 Checking for events that need status updates...");
 
-    // Query for events marked as "Upcoming" that are visible on site
-    // Fetch all pages (handle pagination)
-    let allPages = [];
-    let hasMore = true;
-    let startCursor = undefined;
-
-    while (hasMore) {
-      const response = await notion.databases.query({
-        database_id: NOTION_EVENTS_DATABASE_ID,
-        filter: {
-          and: [
-            {
-              property: "Visible on site",
-              checkbox: {
-                equals: true,
-              },
-            },
-            {
-              property: "Status",
-              status: {
-                equals: "Upcoming",
-              },
+    // Query for events marked as "Upcoming" or "Ongoing" that are visible on site
+    const allPages = await notion.queryDatabase({
+      database_id: NOTION_EVENTS_DATABASE_ID,
+      filter: {
+        and: [
+          {
+            property: "Visible on site",
+            checkbox: {
+              equals: true,
             },
-          ],
-        },
-        start_cursor: startCursor,
-      });
-
-      allPages = allPages.concat(response.results);
-      hasMore = response.has_more;
-      startCursor = response.next_cursor;
-    }
-
-    const now = new Date();
-    now.setHours(0, 0, 0, 0); // Set to start of day for fair comparison
+          },
+          {
+            or: [
+              { property: "Status", status: { equals: "Upcoming" } },
+              { property: "Status", status: { equals: "Ongoing" } },
+            ],
+          },
+        ],
+      },
+    });
 
-    let updatedCount = 0;
-    const updatePromises = [];
+    const now = syncNow();
+    const updates = [];
 
     for (const page of allPages) {
       const dateProp = page.properties.Date || page.properties.date;
@@ -326,50 +686,69 @@ async function updateEventStatusesInNotion() {
         continue;
       }
 
-      const eventDate = new Date(dateProp.date.start);
-      eventDate.setHours(0, 0, 0, 0);
+      const range = normalizeNotionDate(dateProp.date);
+      if (!range) {
+        continue;
+      }
+
+      const currentStatus = normalizeStatus(page.properties.Status?.status?.name);
+      // Manual statuses are never changed automatically
+      if (MANUAL_STATUSES.includes(currentStatus)) {
+        continue;
+      }
+      const newStatus = lifecycleStatus({ start: range.start, end: range.end }, now);
 
-      // If event date is in the past, update Status to "Past" in Notion
-      if (eventDate < now) {
+      // Only move forward (Upcoming → Ongoing → Past)
+      if (newStatus && newStatus !== currentStatus && newStatus !== "Upcoming") {
         const eventName = page.properties.Name?.title?.[0]?.plain_text || page.properties.name?.title?.[0]?.plain_text || "Unknown";
-        console.log(`   📅 Updating "${eventName}" (${dateProp.date.start}) from Upcoming → Past`);
-
-        updatePromises.push(
-          notion.pages.update({
-            page_id: page.id,
-            properties: {
-              Status: {
-                status: {
-                  name: "Past",
-                },
+        const verb = dryRun ? "Would update" : "Updating";
+        console.log(`   📅 ${verb} "${eventName}" (${dateProp.date.start}) from ${currentStatus} → ${newStatus}`);
+
+        result.planned.push({ id: page.id, name: eventName, from: currentStatus, to: newStatus });
+        updates.push({
+          page_id: page.id,
+          properties: {
+            Status: {
+              status: {
+                name: newStatus,
               },
             },
-          })
-            .then(() => {
-              updatedCount++;
-              return true;
-            })
-            .catch((error) => {
-              console.error(`   ❌ Failed to update page ${page.id}:`, error.message);
-              return false;
-            })
-        );
+          },
+          label: `"${eventName}"`,
+        });
       }
     }
 
-    // Wait for all updates to complete
-    if (updatePromises.length > 0) {
-      await Promise.all(updatePromises);
-      console.log(`✅ Updated Status to "Past" for ${updatedCount} event(s) in Notion`);
-    } else {
+    if (updates.length === 0) {
       console.log("✅ No events need status updates");
+      return result;
+    }
+    if (dryRun) {
+      console.log(`ℹ️  Dry run: ${updates.length} status update(s) not sent to Notion`);
+      return result;
     }
 
-    return updatedCount > 0;
+    // One request at a time (throttled and retried by the access layer)
+    const { succeeded, failed } = await notion.updatePages(updates);
+    result.updated = succeeded.length;
+    result.failed = failed.map(({ update, error }) => ({ id: update.page_id, name: update.label, error: error.message }));
+
+    if (failed.length > 0) {
+      console.error(`❌ ${failed.length} of ${updates.length} status update(s) failed:`);
+      failed.forEach(({ update, error }) => {
+        console.error(`   - ${update.label} (${update.page_id}): ${error.message}`);
+      });
+      console.error("   They will be retried on the next sync.");
+    }
+    if (succeeded.length > 0) {
+      console.log(`✅ Updated Status for ${succeeded.length} event(s) in Notion`);
+    }
+
+    return result;
   } catch (error) {
     console.error("❌ Error updating event statuses in Notion:", error.message);
     // Don't fail the entire sync if status updates fail
-    return false;
+    return { ...result, error: error.message };
   }
 }
 
@@ -382,14 +761,14 @@ function computeEventsHash(events) {
 }
 
 /**
- * Reads existing events.json and computes its hash
+ * Reads the existing events file, if any
+ *
+ * @returns {Promise<{text: string, events: Array<object>}|null>}
  */
-async function getExistingEventsHash() {
-  const outputPath = join(ROOT_DIR, "public", "events.json");
+async function readExistingEventsFile(outputPath) {
   try {
-    const content = await readFile(outputPath, "utf-8");
-    const events = JSON.parse(content);
-    return computeEventsHash(events);
+    const text = await readFile(outputPath, "utf-8");
+    return { text, events: eventsFromJson(JSON.parse(text)) };
   } catch (err) {
     if (err.code === "ENOENT") {
       return null;
@@ -399,27 +778,84 @@ async function getExistingEventsHash() {
 }
 
 /**
- * Main function to fetch events and write JSON file
+ * Fetches events (updating statuses in Notion first) and writes the events
+ * file and the generated site files
+ *
+ * @param {object} options - From parseCliOptions()
+ * @returns {Promise<object>} Structured result, see printSummary()
  */
-async function fetchAndWriteEvents() {
-  try {
-    console.log("🔄 Fetching events from Notion...");
-
-    // First, update any event statuses in Notion that need updating
-    // This ensures the database stays in sync (replaces Notion automation)
-    const statusUpdated = await updateEventStatusesInNotion();
-    
-    // If we updated statuses, wait a moment for Notion to process
-    if (statusUpdated) {
-      console.log("⏳ Waiting for Notion to process status updates...");
-      await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
-    }
+async function fetchAndWriteEvents(options) {
+  const outputPath = options.output || join(ROOT_DIR, "public", "events.json");
+  const result = {
+    status: null,
+    dryRun: options.dryRun,
+    outputPath,
+    eventCount: 0,
+    changed: null,
+    statusUpdates: { skipped: !options.statusUpdates, planned: [], updated: 0, failed: [] },
+    editedSince: null,
+    changes: null,
+    sync: null,
+    speakers: null,
+    locations: null,
+    descriptions: null,
+    images: null,
+    partners: null,
+    guardrails: [],
+    snapshotPath: null,
+    archive: null,
+    generated: null,
+  };
+
+  console.log("🔄 Fetching events from Notion...");
 
-    // Get database last edited time for timestamp tracking
-    const databaseLastEdited = await getDatabaseLastEditedTime();
+  // Fail before changing anything if Notion and the allowlist disagree
+  const published = await loadPublishedProperties();
+  const speakerProperties = await loadSpeakerProperties();
+  const placeProperties = await loadPlaceProperties();
+  await checkPublishedProperties(published, speakerProperties, placeProperties);
+
+  // First, update any event statuses in Notion that need updating
+  // This ensures the database stays in sync (replaces Notion automation)
+  if (options.statusUpdates) {
+    Object.assign(result.statusUpdates, await updateEventStatusesInNotion({ dryRun: options.dryRun }));
+  } else {
+    console.log("⏭️  Skipping status updates in Notion (--no-status-updates)");
+  }
 
-    // Query the database with filters
-    const response = await notion.databases.query({
+  // If we updated statuses, wait a moment for Notion to process
+  if (result.statusUpdates.updated > 0 && !isOfflineMode()) {
+    console.log("⏳ Waiting for Notion to process status updates...");
+    await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
+  }
+
+  // Get database last edited time for timestamp tracking
+  const databaseLastEdited = await getDatabaseLastEditedTime();
+
+  // The archive holds the events Notion returned last time (incremental
+  // syncs merge into them) and keeps past events that left Notion
+  const archivePath = join(ROOT_DIR, EVENTS_ARCHIVE_FILE);
+  const storedArchive = await readArchive(archivePath);
+
+  // Full sync, or only the pages edited since the last one
+  const statePath = join(ROOT_DIR, SYNC_STATE_FILE);
+  const syncState = await readSyncState(statePath);
+  const allowlistHash = propertiesHash([...published, ...speakerProperties, ...placeProperties]);
+  const plan = planSync({
+    state: syncState,
+    config: await loadIncrementalSyncConfig(),
+    hasArchive: Boolean(storedArchive),
+    propertiesHash: allowlistHash,
+    full: options.full,
+  });
+  result.sync = { mode: plan.mode, reason: plan.reason, since: plan.since || null, pagesFetched: 0 };
+  console.log(`🔄 ${plan.mode === "full" ? "Full" : "Incremental"} sync (${plan.reason})`);
+
+  let pages;
+  let validEvents;
+  if (plan.mode === "full") {
+    // Query the database with filters (every page of results)
+    pages = await notion.queryDatabase({
       database_id: NOTION_EVENTS_DATABASE_ID,
       filter: {
         property: "Visible on site",
@@ -435,57 +871,385 @@ async function fetchAndWriteEvents() {
       ],
     });
 
-    console.log(`✅ Found ${response.results.length} visible events`);
+    console.log(`✅ Found ${pages.length} visible events`);
 
-    // Map events to simple objects (enable debug for first event to see property names)
-    const events = response.results.map((page, index) => {
-      return mapEvent(page, index === 0); // Debug first event only
+    // Map events to simple objects (--debug-properties lists the property names of the first one)
+    const events = pages.map((page, index) => {
+      return mapEvent(page, published, options.debugProperties && index === 0);
     });
 
-    // Filter out events without a Name or Date property
-    const validEvents = events.filter(
-      (event) => (event.Name || event.name) && (event.Date || event.date)
+    // Filter out events with an empty required property
+    validEvents = events.filter(Boolean);
+  } else {
+    pages = await notion.queryDatabase(editedPagesQuery(NOTION_EVENTS_DATABASE_ID, plan.since));
+    const edited = changedPages(pages, syncState);
+    console.log(`✅ Found ${pages.length} recently edited pages, ${edited.length} changed since the last sync`);
+
+    // Hidden pages, and pages with an empty required property, leave the
+    // site; partner events are imported again below
+    validEvents = mergeEditedEvents(
+      liveEvents(storedArchive).filter((event) => !isImportedEvent(event)),
+      edited.map((page, index) => ({
+        id: page.id,
+        event: isVisibleOnSite(page) ? mapEvent(page, published, options.debugProperties && index === 0) : null,
+      }))
     );
+  }
+  result.sync.pagesFetched = pages.length;
 
-    console.log(`✅ Mapped ${validEvents.length} valid events`);
-
-    // Check if content actually changed
-    const newHash = computeEventsHash(validEvents);
-    const existingHash = await getExistingEventsHash();
-    
-    if (existingHash && newHash === existingHash) {
-      console.log("ℹ️  Events content unchanged, no update needed.");
-      // Update sync timestamp even if content didn't change (to track last check)
-      if (databaseLastEdited) {
-        await writeLastSyncTimestamp(databaseLastEdited);
-      }
-      process.exit(0); // Exit successfully without changes
+  // Speakers are pages of a related database
+  const withSpeakers = await addSpeakers(validEvents, {
+    speakerProperties,
+    previous: storedArchive ? liveEvents(storedArchive) : [],
+  });
+  validEvents = withSpeakers.events;
+  result.speakers = { pagesRead: withSpeakers.pagesRead, failed: withSpeakers.failed };
+
+  // So is the venue, read only as far as each event's visibility allows
+  const withLocations = await addLocations(validEvents, {
+    placeProperties,
+    previous: storedArchive ? liveEvents(storedArchive) : [],
+  });
+  validEvents = withLocations.events;
+  result.locations = { pagesRead: withLocations.pagesRead, failed: withLocations.failed };
+
+  // Descriptions come from the page content, one more request (or a few)
+  // per page, so incremental syncs only read the edited pages
+  const described = await addDescriptions(validEvents, {
+    readAll: plan.mode === "full",
+    previous: storedArchive ? liveEvents(storedArchive) : [],
+  });
+  validEvents = described.events;
+  result.descriptions = { pagesRead: described.pagesRead, failed: described.failed };
+
+  // Covers are only written to the site once the sync goes ahead.
+  // data/images.json remembers each source; full resyncs download the ones
+  // hosted outside Notion again, in case they were replaced at the same URL
+  const imagesConfig = await loadImagesConfig();
+  const manifestPath = join(ROOT_DIR, imagesConfig.manifest);
+  const mirror = createImageMirror({
+    rootDir: ROOT_DIR,
+    config: imagesConfig,
+    manifest: await readImageManifest(manifestPath),
+    download: isOfflineMode() ? readFixtureFile : undefined,
+    revalidate: plan.mode === "full",
+  });
+  const withCovers = await addCovers(validEvents, {
+    mirror,
+    previous: storedArchive ? liveEvents(storedArchive) : [],
+  });
+  validEvents = withCovers.events;
+  result.images = { downloaded: mirror.downloaded, written: 0, removed: 0, failed: withCovers.failed };
+
+  console.log(`✅ Mapped ${validEvents.length} valid events`);
+
+  if (options.since) {
+    const edited = validEvents.filter(
+      (event) => event.lastEditedTime && new Date(event.lastEditedTime) > options.since
+    );
+    result.editedSince = {
+      since: options.since.toISOString(),
+      events: edited.map(({ id, name, lastEditedTime }) => ({ id, name, lastEditedTime })),
+    };
+    console.log(`🕒 ${edited.length} event(s) edited in Notion since ${options.since.toISOString()}`);
+    edited.forEach((event) => console.log(`   - "${event.name}" (${event.lastEditedTime})`));
+  }
+
+  // Partner calendars are read in full on every sync; their events that are
+  // already in Notion only fill the fields Notion leaves empty
+  const notionEvents = validEvents;
+  const imported = await importEvents(await loadEventSourcesConfig(), {
+    download: isOfflineMode() ? readFixtureFile : undefined,
+    previous: storedArchive ? liveEvents(storedArchive) : [],
+  });
+  imported.failed.forEach(({ name, error, kept }) => {
+    console.warn(`⚠️  Could not read the partner feed "${name}", keeping its ${kept} previous event(s): ${error}`);
+  });
+  const withImports = mergeImportedEvents(notionEvents, imported.events);
+  validEvents = withImports.events;
+  result.partners = {
+    sources: imported.sources,
+    imported: validEvents.length - notionEvents.length,
+    merged: withImports.merged,
+    failed: imported.failed,
+  };
+  if (imported.events.length > 0) {
+    console.log(`✅ Imported ${result.partners.imported} partner event(s) (${withImports.merged.length} already listed)`);
+  }
+
+  // Past events that left Notion stay on the site through the archive.
+  // First run with an archive: start from the events published so far
+  const previousArchive = storedArchive ||
+    seedArchive((await readExistingEventsFile(join(ROOT_DIR, "public", "events.json")))?.events || []);
+  const archive = updateArchive(previousArchive, validEvents);
+  const archiveChanged = !storedArchive || formatArchive(archive) !== formatArchive(storedArchive);
+  const siteEvents = publishedEvents(archive);
+  const retained = Object.values(archive.entries).filter(isRetained);
+  result.eventCount = siteEvents.length;
+  result.archive = {
+    path: archivePath,
+    changed: archiveChanged,
+    retained: retained.map(({ event: { id, name } }) => ({ id, name })),
+  };
+  if (retained.length > 0) {
+    console.log(`📚 Keeping ${retained.length} past event(s) no longer in Notion (${EVENTS_ARCHIVE_FILE})`);
+  }
+
+  const envelope = buildEventsEnvelope(siteEvents, {
+    generatedAt: syncNow(),
+    source: { type: "notion", lastEditedTime: databaseLastEdited },
+  });
+
+  // Never publish output the site (or anyone consuming events.json) can't read
+  const schemaErrors = await validateEventsEnvelope(envelope);
+  if (schemaErrors.length > 0) {
+    throw new Error(
+      `Generated events.json does not match public/events.schema.json (nothing was written):\n   - ${schemaErrors.join("\n   - ")}`
+    );
+  }
+
+  // Check if content actually changed (generatedAt changes on every run,
+  // so only the events are compared)
+  const existing = await readExistingEventsFile(outputPath);
+  const changed = !existing || computeEventsHash(existing.events) !== computeEventsHash(siteEvents);
+  const json = JSON.stringify(envelope, null, 2);
+
+  // What changed for people, by event (added / removed / date, link, status...)
+  const diff = diffEvents(existing?.events || [], siteEvents);
+  const changelog = formatChangelog(diff);
+  result.changes = {
+    added: diff.added.map(({ id, name }) => ({ id, name })),
+    removed: diff.removed.map(({ id, name }) => ({ id, name })),
+    changed: diff.changed.map(({ after, fields }) => ({ id: after.id, name: after.name, fields })),
+  };
+  if (changed) {
+    console.log(`\n📝 Changes:\n${changelog}`);
+  }
+
+  // Refuse to wipe the site (or mark the whole archive as removed) because
+  // of a wrong database, filter or empty response. Compared with what Notion
+  // returned last time, as the archive would hide a drop in past events
+  const safety = await loadSyncSafetyConfig();
+  const previousLive = liveEvents(previousArchive);
+  if ((changed || archiveChanged) && previousLive.length > 0) {
+    result.guardrails = checkGuardrails(previousLive, validEvents, diffEvents(previousLive, validEvents), safety);
+  }
+  if (result.guardrails.length > 0) {
+    const reasons = result.guardrails.map((problem) => `\n   - ${problem}`).join("");
+    if (options.dryRun) {
+      console.warn(`⚠️  Dry run: the write would be refused:${reasons}`);
+    } else if (options.force) {
+      console.warn(`⚠️  Writing anyway (--force):${reasons}`);
+    } else {
+      throw new Error(
+        `Refusing to write ${outputPath}:${reasons}\n` +
+        "   Check NOTION_EVENTS_DATABASE and the \"Visible on site\" filter, or rerun with --force if this is intended."
+      );
     }
+  }
 
-    // Ensure public directory exists
-    const publicDir = join(ROOT_DIR, "public");
-    try {
-      await mkdir(publicDir, { recursive: true });
-    } catch (err) {
-      // Directory might already exist, ignore error
-      if (err.code !== "EEXIST") {
-        throw err;
-      }
+  if (options.dryRun) {
+    result.status = "dry-run";
+    result.changed = changed;
+    if (!changed) {
+      console.log(`ℹ️  Dry run: events unchanged, ${outputPath} would not be written`);
+    } else {
+      console.log(`ℹ️  Dry run: ${outputPath} would change:\n`);
+      console.log(createTwoFilesPatch(outputPath, `${outputPath} (new)`, existing?.text ?? "", json, undefined, undefined, { context: 3 }));
+    }
+    return result;
+  }
+
+  // Keep the current file, with the archive and sync state it was published
+  // from, as a snapshot (npm run restore-events) before any of them changes
+  if (changed && !options.output) {
+    result.snapshotPath = await createSnapshot(outputPath, {
+      dir: join(ROOT_DIR, safety.snapshots.dir),
+      keep: safety.snapshots.keep,
+      companions: { archive: archivePath, "sync-state": statePath },
+    });
+    if (result.snapshotPath) {
+      console.log(`✅ Saved snapshot of the previous events to ${result.snapshotPath}`);
+    }
+  }
+
+  // Images first, so events.json never points at a missing file
+  if (!options.output) {
+    const written = await mirror.write();
+    result.images.written = written.length;
+    if (written.length > 0) {
+      console.log(`✅ Wrote ${written.length} image file(s) to ${join(ROOT_DIR, imagesConfig.dir)}`);
+    }
+  }
+
+  // The archive can change on its own, e.g. when a past event leaves Notion
+  if (archiveChanged && !options.output) {
+    await writeArchive(archivePath, archive);
+    console.log(`✅ Updated archive ${archivePath}`);
+  }
+
+  // Images of events that left the archive (or whose cover changed) go;
+  // hidden events keep theirs, they can be restored
+  if (!options.output) {
+    const pruned = await pruneImages({
+      rootDir: ROOT_DIR,
+      config: imagesConfig,
+      manifest: mirror.manifest,
+      covers: Object.values(archive.entries).map(({ event }) => event.cover).filter(Boolean),
+    });
+    await writeImageManifest(manifestPath, pruned.manifest);
+    result.images.removed = pruned.removed.length;
+    if (pruned.removed.length > 0) {
+      console.log(`🗑️  Removed ${pruned.removed.length} unused image file(s)`);
     }
+  }
 
-    // Write events to JSON file
-    const outputPath = join(publicDir, "events.json");
-    await writeFile(outputPath, JSON.stringify(validEvents, null, 2), "utf-8");
+  // Only once the events are safely written, so an incremental sync never
+  // skips edits that weren't published
+  const saveSyncState = () =>
+    writeSyncState(statePath, nextSyncState(syncState, {
+      mode: plan.mode,
+      pages,
+      events: notionEvents,
+      propertiesHash: allowlistHash,
+    }));
 
-    console.log(`✅ Successfully wrote ${validEvents.length} events to ${outputPath}`);
-    
-    // Update sync timestamp
-    if (databaseLastEdited) {
+  if (!changed) {
+    console.log("ℹ️  Events content unchanged, no update needed.");
+    // Update sync timestamp even if content didn't change (to track last check)
+    if (!options.output) {
+      await saveSyncState();
+    }
+    if (databaseLastEdited && !options.output) {
       await writeLastSyncTimestamp(databaseLastEdited);
-      console.log(`✅ Updated sync timestamp: ${databaseLastEdited}`);
     }
-    
-    console.log("🎉 Done!");
+    result.status = "unchanged";
+    result.changed = false;
+    return result;
+  }
+
+  await writeFileAtomic(outputPath, json);
+  result.status = "written";
+  result.changed = true;
+
+  console.log(`✅ Successfully wrote ${siteEvents.length} events to ${outputPath}`);
+
+  // Used by the sync workflow as the commit body
+  if (options.changelog) {
+    await mkdir(dirname(options.changelog), { recursive: true });
+    await writeFile(options.changelog, changelog, "utf-8");
+    result.changelogPath = options.changelog;
+    console.log(`✅ Wrote change report to ${options.changelog}`);
+  }
+
+  // A custom --output is for inspection: the site files keep matching the
+  // committed events.json
+  if (options.output) {
+    console.log("ℹ️  Custom --output: archive, calendar feeds, pages, sitemap and sync state left untouched");
+    return result;
+  }
+  await saveSyncState();
+
+  const publicDir = join(ROOT_DIR, "public");
+
+  // Regenerate calendar feeds from the same data
+  const calendarPaths = await writeCalendarFeeds(siteEvents, { outputDir: publicDir });
+  console.log(`✅ Wrote ${calendarPaths.length} calendar feeds to ${publicDir}`);
+
+  // Prerender the event lists so crawlers and no-JS visitors see them
+  const prerenderedPaths = await prerenderPages(siteEvents, { rootDir: ROOT_DIR });
+  console.log(`✅ Prerendered events into ${prerenderedPaths.length} pages`);
+
+  // One shareable detail page per event
+  const eventPages = await writeEventPages(siteEvents, { rootDir: ROOT_DIR });
+  console.log(`✅ Wrote ${eventPages.written.length} event pages (removed ${eventPages.removed.length} stale)`);
+
+  // Sitemap + robots.txt reflecting the pages that now exist
+  const sitemap = await writeSitemap(siteEvents, { rootDir: ROOT_DIR });
+  console.log(`✅ Wrote sitemap with ${sitemap.urlCount} URLs`);
+
+  result.generated = {
+    calendarFeeds: calendarPaths.length,
+    prerenderedPages: prerenderedPaths.length,
+    eventPages: eventPages.written.length,
+    removedEventPages: eventPages.removed.length,
+    sitemapUrls: sitemap.urlCount,
+  };
+
+  // Update sync timestamp
+  if (databaseLastEdited) {
+    await writeLastSyncTimestamp(databaseLastEdited);
+    console.log(`✅ Updated sync timestamp: ${databaseLastEdited}`);
+  }
+
+  return result;
+}
+
+/**
+ * Prints the outcome of a run, as text or (--json) as JSON on stdout
+ */
+function printSummary(result, { json }) {
+  if (json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return;
+  }
+  if (result.status === "error") {
+    return;
+  }
+
+  const { planned, updated, failed, skipped } = result.statusUpdates;
+  const statusLine = skipped
+    ? "skipped"
+    : result.dryRun
+      ? `${planned.length} planned (not sent)`
+      : `${updated} updated, ${failed.length} failed`;
+
+  console.log("\n📋 Summary");
+  console.log(`   Result: ${result.status}`);
+  console.log(`   Events: ${result.eventCount} → ${result.outputPath}`);
+  if (result.sync) {
+    console.log(`   Sync: ${result.sync.mode}, ${result.sync.pagesFetched} page(s) fetched`);
+  }
+  console.log(`   Status updates: ${statusLine}`);
+  if (result.speakers) {
+    const { pagesRead, failed } = result.speakers;
+    console.log(`   Speakers: ${pagesRead} page(s) read${failed.length ? `, ${failed.length} event(s) failed (previous kept)` : ""}`);
+  }
+  if (result.locations) {
+    const { pagesRead, failed } = result.locations;
+    console.log(`   Places: ${pagesRead} page(s) read${failed.length ? `, ${failed.length} event(s) failed` : ""}`);
+  }
+  if (result.descriptions) {
+    const { pagesRead, failed } = result.descriptions;
+    console.log(`   Descriptions: ${pagesRead} page(s) read${failed.length ? `, ${failed.length} failed (previous kept)` : ""}`);
+  }
+  if (result.images) {
+    const { downloaded, written, removed, failed } = result.images;
+    console.log(`   Images: ${downloaded} downloaded, ${written} file(s) written, ${removed} removed${failed.length ? `, ${failed.length} failed (previous kept)` : ""}`);
+  }
+  if (result.partners?.sources.length || result.partners?.failed.length) {
+    const { sources, imported, merged, failed } = result.partners;
+    console.log(`   Partner feeds: ${sources.length} read, ${imported} event(s) imported, ${merged.length} already listed${failed.length ? `, ${failed.length} failed (previous kept)` : ""}`);
+  }
+  if (result.changes) {
+    const { added, removed, changed } = result.changes;
+    console.log(`   Changes: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+  }
+  if (result.archive?.retained.length) {
+    console.log(`   Archived: ${result.archive.retained.length} past event(s) kept after leaving Notion`);
+  }
+  console.log(result.dryRun ? "🎉 Done (dry run, nothing written)" : "🎉 Done!");
+}
+
+async function main(options) {
+  // Keep stdout for the JSON summary
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  let result;
+  try {
+    result = await fetchAndWriteEvents(options);
   } catch (error) {
     console.error("❌ Error fetching events from Notion:", error.message);
     if (error.code === "object_not_found") {
@@ -497,10 +1261,12 @@ async function fetchAndWriteEvents() {
         "   Hint: Check that NOTION_API_KEY is correct and the integration is active."
       );
     }
-    process.exit(1);
+    result = { status: "error", error: error.message };
   }
+
+  printSummary(result, options);
+  process.exitCode = result.status === "error" ? 1 : 0;
 }
 
 // Run the script
-fetchAndWriteEvents();
-
+main(cliOptions);
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Generates iCalendar feeds from public/events.json.
+ *
+ * Outputs:
+ *   - public/events.ics             All events
+ *   - public/events-afterhours.ics  Coimbra Tech Afterhours events only
+ *   - public/events-partner.ics     Partner events only
+ *
+ * The fetch script calls writeCalendarFeeds() after each sync; this file can
+ * also be run on its own to rebuild the feeds from the current JSON:
+ *   node scripts/generate-calendar.mjs
+ */
+
+import { writeFile, mkdir } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { buildCalendar } from "./lib/ics.mjs";
+import { readEventsFile } from "./lib/events-file.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, "..");
+
+/**
+ * Feed definitions: output file, calendar name and event filter
+ */
+export const CALENDAR_FEEDS = [
+  {
+    file: "events.ics",
+    name: "Coimbra Tech Afterhours",
+    filter: () => true,
+  },
+  {
+    file: "events-afterhours.ics",
+    name: "Coimbra Tech Afterhours (Afterhours)",
+    filter: (event) => event.type !== "Partner Event",
+  },
+  {
+    file: "events-partner.ics",
+    name: "Coimbra Tech Afterhours (Partner events)",
+    filter: (event) => event.type === "Partner Event",
+  },
+];
+
+/**
+ * Writes every calendar feed for the given events
+ *
+ * @param {Array<object>} events - Events as written to public/events.json
+ * @param {object} [options]
+ * @param {string} [options.outputDir] - Directory for the .ics files
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export async function writeCalendarFeeds(events, { outputDir = join(ROOT_DIR, "public") } = {}) {
+  await mkdir(outputDir, { recursive: true });
+
+  const written = [];
+
+  for (const feed of CALENDAR_FEEDS) {
+    const outputPath = join(outputDir, feed.file);
+    const calendar = buildCalendar(events.filter(feed.filter), {
+      name: feed.name,
+    });
+    await writeFile(outputPath, calendar, "utf-8");
+    written.push(outputPath);
+  }
+
+  return written;
+}
+
+async function main() {
+  const inputPath = join(ROOT_DIR, "public", "events.json");
+  const events = await readEventsFile(inputPath);
+
+  const written = await writeCalendarFeeds(events);
+  written.forEach((path) => console.log(`✅ Wrote ${path}`));
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error("❌ Error generating calendar feeds:", error.message);
+    process.exit(1);
+  });
+}
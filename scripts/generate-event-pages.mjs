@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Generates a standalone detail page for every event in public/events.json.
+ *
+ * Pages are written to events/<slug>/index.html, where the slug is derived
+ * from the event name and its date in Europe/Lisbon (see eventSlug() in
+ * assets/js/events.js), giving each event a shareable coimbratech.org URL.
+ *
+ * The page chrome (header, footer, language/theme scripts) is taken from
+ * events.html so every page stays in sync with the main events page; the
+ * content is rendered by the same helpers the browser uses.
+ *
+ * The fetch script calls writeEventPages() after each sync; this file can
+ * also be run on its own:
+ *   node scripts/generate-event-pages.mjs
+ */
+
+import { writeFile, readFile, mkdir, readdir, rm } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { loadSiteRenderer } from "./lib/site-renderer.mjs";
+import { readEventsFile } from "./lib/events-file.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, "..");
+
+const SITE_URL = "https://coimbratech.org";
+const PAGE_LANG = "pt";
+const SOCIAL_IMAGE = `${SITE_URL}/assets/logo-512.png`;
+
+/**
+ * Makes relative src/href attributes root-relative, so markup copied from
+ * events.html still works from /events/<slug>/
+ */
+function absolutizeUrls(html) {
+  return html.replace(/\b(src|href)="(?![a-z][a-z0-9+.-]*:|\/|#)/gi, '$1="/');
+}
+
+/**
+ * Extracts the shared page chrome from events.html
+ */
+function extractChrome(eventsHtml) {
+  const header = eventsHtml.match(/<body>([\s\S]*?)<main\b/);
+  const footer = eventsHtml.match(/<\/main>([\s\S]*?)<\/body>/);
+
+  if (!header || !footer) {
+    throw new Error("Could not find <body>/<main> structure in events.html");
+  }
+
+  return {
+    header: absolutizeUrls(header[1]),
+    footer: absolutizeUrls(footer[1]),
+  };
+}
+
+/**
+ * Builds the meta description for an event
+ */
+function describeEvent(renderer, event) {
+  const kind = event.type === "Partner Event" ? "Evento de parceiros" : "Coimbra Tech Afterhours";
+  const date = renderer.formatEventDate(event, PAGE_LANG);
+  const when = date ? ` · ${date}` : "";
+  return `${kind} em Coimbra${when}. Detalhes e inscrição na página do evento.`;
+}
+
+/**
+ * Image shown when an event page is shared: the event's cover, or the logo
+ */
+function socialImage(event) {
+  if (!event.cover) {
+    return { url: SOCIAL_IMAGE, width: 512, height: 512, alt: "Coimbra Tech Afterhours Logo", card: "summary" };
+  }
+  const { src, width, height } = event.cover;
+  return { url: `${SITE_URL}${src}`, width, height, alt: event.name, card: "summary_large_image" };
+}
+
+/**
+ * Renders the full HTML document for one event
+ */
+function renderEventPage(renderer, chrome, event) {
+  const esc = renderer.escapeHTML;
+  const pageUrl = `${SITE_URL}${event.url}`;
+  const title = `${event.name} — Coimbra Tech Afterhours`;
+  const description = describeEvent(renderer, event);
+  const image = socialImage(event);
+
+  const structuredData = {
+    "@context": "https://schema.org",
+    "@graph": [
+      {
+        "@type": "BreadcrumbList",
+        "itemListElement": [
+          { "@type": "ListItem", "position": 1, "name": "Home", "item": `${SITE_URL}/` },
+          { "@type": "ListItem", "position": 2, "name": "Eventos", "item": `${SITE_URL}/events` },
+          { "@type": "ListItem", "position": 3, "name": event.name, "item": pageUrl },
+        ],
+      },
+      ...renderer.buildEventJsonLd([event]).map(({ "@context": _context, ...item }) => item),
+    ],
+  };
+  const jsonLd = JSON.stringify(structuredData, null, 2).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="${PAGE_LANG}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, viewport-fit=cover">
+    <meta name="theme-color" content="#0a0a0a">
+
+    <!-- Generated by scripts/generate-event-pages.mjs — do not edit by hand -->
+    <title>${esc(title)}</title>
+    <meta name="description" content="${esc(description)}">
+    <meta name="robots" content="index, follow, max-image-preview:large">
+    <link rel="canonical" href="${pageUrl}" />
+    <link rel="alternate" hreflang="pt-PT" href="${pageUrl}" />
+    <link rel="alternate" hreflang="en" href="${pageUrl}?lang=en" />
+    <link rel="alternate" hreflang="x-default" href="${pageUrl}" />
+
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="Coimbra Tech Afterhours">
+    <meta property="og:title" content="${esc(title)}">
+    <meta property="og:description" content="${esc(description)}">
+    <meta property="og:url" content="${pageUrl}">
+    <meta property="og:image" content="${esc(image.url)}">
+    <meta property="og:image:width" content="${image.width}">
+    <meta property="og:image:height" content="${image.height}">
+    <meta property="og:image:alt" content="${esc(image.alt)}">
+    <meta property="og:locale" content="pt_PT">
+    <meta property="og:locale:alternate" content="en_US">
+
+    <!-- Twitter -->
+    <meta name="twitter:card" content="${image.card}">
+    <meta name="twitter:title" content="${esc(title)}">
+    <meta name="twitter:description" content="${esc(description)}">
+    <meta name="twitter:image" content="${esc(image.url)}">
+    <meta name="twitter:image:alt" content="${esc(image.alt)}">
+
+    <!-- Google Fonts -->
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+
+    <!-- Favicon -->
+    <link rel="icon" type="image/svg+xml" href="/favicon_io/favicon.svg">
+    <link rel="icon" type="image/x-icon" href="/favicon_io/favicon.ico">
+    <link rel="apple-touch-icon" sizes="180x180" href="/favicon_io/apple-touch-icon.png">
+    <link rel="manifest" href="/favicon_io/site.webmanifest">
+
+    <!-- Styles -->
+    <link rel="stylesheet" href="/styles.css">
+    <link rel="stylesheet" href="/assets/css/events.css">
+
+    <!-- Structured Data for this event -->
+    <script type="application/ld+json">${jsonLd}</script>
+</head>
+<body>${chrome.header}<main id="event-page">${renderer.createEventDetail(event, PAGE_LANG)}</main>${chrome.footer}</body>
+</html>
+`;
+}
+
+/**
+ * Renders a small page for /events/ itself, pointing at the events list
+ * (the events/ directory would otherwise shadow /events on static hosts)
+ */
+function renderEventsIndexRedirect() {
+  return `<!DOCTYPE html>
+<html lang="${PAGE_LANG}">
+<head>
+    <meta charset="UTF-8">
+    <!-- Generated by scripts/generate-event-pages.mjs — do not edit by hand -->
+    <title>Eventos — Coimbra Tech Afterhours</title>
+    <link rel="canonical" href="${SITE_URL}/events" />
+    <meta http-equiv="refresh" content="0; url=/events.html">
+</head>
+<body>
+    <p><a href="/events.html">Eventos / Events</a></p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes every event detail page and removes pages of events that no longer exist
+ *
+ * @param {Array<object>} rawEvents - Events as written to public/events.json
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Site root (pages go to <rootDir>/events/)
+ * @returns {Promise<{written: string[], removed: string[]}>}
+ */
+export async function writeEventPages(rawEvents, { rootDir = ROOT_DIR } = {}) {
+  const renderer = await loadSiteRenderer(rootDir);
+  const chrome = extractChrome(await readFile(join(rootDir, "events.html"), "utf-8"));
+  const pagesDir = join(rootDir, "events");
+
+  const events = rawEvents
+    .map(renderer.formatEvent)
+    .filter((event) => event.name && event.dateISO);
+
+  await mkdir(pagesDir, { recursive: true });
+  await writeFile(join(pagesDir, "index.html"), renderEventsIndexRedirect(), "utf-8");
+
+  const written = [];
+  const slugs = new Set();
+
+  for (const event of events) {
+    if (slugs.has(event.slug)) {
+      console.warn(`⚠️  Duplicate event slug "${event.slug}", keeping the first event`);
+      continue;
+    }
+    slugs.add(event.slug);
+
+    const pageDir = join(pagesDir, event.slug);
+    await mkdir(pageDir, { recursive: true });
+    const pagePath = join(pageDir, "index.html");
+    await writeFile(pagePath, renderEventPage(renderer, chrome, event), "utf-8");
+    written.push(pagePath);
+  }
+
+  // Prune pages of events that were removed or renamed
+  const removed = [];
+  for (const entry of await readdir(pagesDir, { withFileTypes: true })) {
+    if (entry.isDirectory() && !slugs.has(entry.name)) {
+      const stalePath = join(pagesDir, entry.name);
+      await rm(stalePath, { recursive: true, force: true });
+      removed.push(stalePath);
+    }
+  }
+
+  return { written, removed };
+}
+
+async function main() {
+  const inputPath = join(ROOT_DIR, "public", "events.json");
+  const events = await readEventsFile(inputPath);
+
+  const { written, removed } = await writeEventPages(events);
+  console.log(`✅ Wrote ${written.length} event pages`);
+  removed.forEach((path) => console.log(`🗑️  Removed ${path}`));
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error("❌ Error generating event pages:", error.message);
+    process.exit(1);
+  });
+}
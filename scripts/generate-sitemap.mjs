@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Generates sitemap.xml and robots.txt from the site pages and events.
+ *
+ * The sitemap lists the homepage, the events page and every event detail
+ * page (events/<slug>/). `lastmod` comes from the Notion edit time of the
+ * events (`lastEditedTime` in events.json), falling back to the last sync
+ * timestamp. Every URL carries hreflang alternates: Portuguese is the default
+ * and English is served via `?lang=en`.
+ *
+ * The fetch script calls writeSitemap() after each sync; this file can
+ * also be run on its own (the sitemap workflow does):
+ *   node scripts/generate-sitemap.mjs
+ */
+
+import { writeFile, readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { loadSiteRenderer } from "./lib/site-renderer.mjs";
+import { readEventsFile } from "./lib/events-file.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, "..");
+
+const SITE_URL = "https://coimbratech.org";
+
+/**
+ * Crawlers explicitly welcomed in robots.txt (on top of the wildcard rule)
+ */
+const ALLOWED_CRAWLERS = ["GPTBot", "Google-Extended", "ClaudeBot", "PerplexityBot"];
+
+/**
+ * Paths that are not pages and should not be crawled
+ */
+const DISALLOWED_PATHS = ["/scripts/", "/node_modules/"];
+
+/**
+ * Escapes a value for XML text/attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Returns the latest of a list of timestamps as ISO string (or null)
+ */
+function latest(timestamps) {
+  const times = timestamps
+    .filter(Boolean)
+    .map((value) => new Date(value).getTime())
+    .filter((time) => !Number.isNaN(time));
+  return times.length ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Reads the last sync timestamp (fallback for lastmod)
+ */
+async function readLastSync(rootDir) {
+  try {
+    return (await readFile(join(rootDir, ".last-sync"), "utf-8")).trim() || null;
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Renders one <url> entry with PT/EN alternates
+ */
+function renderUrl({ loc, lastmod, changefreq, priority }) {
+  const enLoc = `${loc}${loc.includes("?") ? "&" : "?"}lang=en`;
+  const lines = [
+    "  <url>",
+    `    <loc>${escapeXml(loc)}</loc>`,
+  ];
+  if (lastmod) lines.push(`    <lastmod>${lastmod}</lastmod>`);
+  if (changefreq) lines.push(`    <changefreq>${changefreq}</changefreq>`);
+  if (priority) lines.push(`    <priority>${priority}</priority>`);
+  lines.push(
+    `    <xhtml:link rel="alternate" hreflang="pt-PT" href="${escapeXml(loc)}"/>`,
+    `    <xhtml:link rel="alternate" hreflang="en" href="${escapeXml(enLoc)}"/>`,
+    `    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(loc)}"/>`,
+    "  </url>"
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Builds the list of sitemap entries
+ */
+export function buildSitemapEntries(events, { fallbackLastmod = null } = {}) {
+  const siteLastmod = latest(events.map((event) => event.lastEditedTime)) || fallbackLastmod;
+  const upcomingLastmod = latest(
+    events.filter((event) => event.status === "Upcoming").map((event) => event.lastEditedTime)
+  ) || siteLastmod;
+
+  const entries = [
+    { loc: `${SITE_URL}/`, lastmod: upcomingLastmod, changefreq: "weekly", priority: "1.0" },
+    { loc: `${SITE_URL}/events`, lastmod: siteLastmod, changefreq: "daily", priority: "0.9" },
+  ];
+
+  const seen = new Set();
+  events
+    .filter((event) => event.name && event.dateISO)
+    .sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO))
+    .forEach((event) => {
+      if (seen.has(event.url)) return;
+      seen.add(event.url);
+      entries.push({
+        loc: `${SITE_URL}${event.url}`,
+        lastmod: latest([event.lastEditedTime]) || fallbackLastmod,
+        changefreq: event.status === "Upcoming" ? "weekly" : "yearly",
+        priority: event.status === "Upcoming" ? "0.8" : "0.5",
+      });
+    });
+
+  return entries;
+}
+
+/**
+ * Renders sitemap.xml
+ */
+export function renderSitemap(entries) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...entries.map(renderUrl),
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Renders robots.txt
+ */
+export function renderRobots() {
+  const lines = ["User-agent: *", "Allow: /"];
+  DISALLOWED_PATHS.forEach((path) => lines.push(`Disallow: ${path}`));
+  lines.push(`Sitemap: ${SITE_URL}/sitemap.xml`, "", "# Allow major AI crawlers");
+  ALLOWED_CRAWLERS.forEach((agent) => {
+    lines.push(`User-agent: ${agent}`, "Allow: /", "");
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Writes sitemap.xml and robots.txt for the given events
+ *
+ * @param {Array<object>} rawEvents - Events as written to public/events.json
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Site root
+ * @returns {Promise<{sitemapPath: string, robotsPath: string, urlCount: number}>}
+ */
+export async function writeSitemap(rawEvents, { rootDir = ROOT_DIR } = {}) {
+  const renderer = await loadSiteRenderer(rootDir);
+  const events = rawEvents.map(renderer.formatEvent);
+  const entries = buildSitemapEntries(events, {
+    fallbackLastmod: latest([await readLastSync(rootDir)]),
+  });
+
+  const sitemapPath = join(rootDir, "sitemap.xml");
+  const robotsPath = join(rootDir, "robots.txt");
+  await writeFile(sitemapPath, renderSitemap(entries), "utf-8");
+  await writeFile(robotsPath, renderRobots(), "utf-8");
+
+  return { sitemapPath, robotsPath, urlCount: entries.length };
+}
+
+async function main() {
+  const inputPath = join(ROOT_DIR, "public", "events.json");
+  const events = await readEventsFile(inputPath);
+
+  const { sitemapPath, robotsPath, urlCount } = await writeSitemap(events);
+  console.log(`✅ Wrote ${sitemapPath} (${urlCount} URLs)`);
+  console.log(`✅ Wrote ${robotsPath}`);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error("❌ Error generating sitemap:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,213 @@
+/**
+ * Change report between two versions of events.json.
+ *
+ * Events are matched by their stable `id` (the Notion page id). Events from
+ * the legacy file format have generated ids, so leftovers are also matched by
+ * name and start before being reported as removed/added.
+ *
+ * The report is plain text in Portuguese and English, short enough to be a
+ * commit body:
+ *
+ *   PT — 1 adicionado, 1 alterado
+ *   + "Coimbra JS June" (16 de junho de 2026, 18:30)
+ *   ~ "Coimbra Design Meetup": data 2 de junho de 2026, 18:30 → 9 de junho de 2026, 18:30
+ *
+ *   EN — 1 added, 1 changed
+ *   ...
+ */
+
+import { EVENTS_TIMEZONE } from "./event-dates.mjs";
+
+/**
+ * Fields compared between versions, by kind of change
+ */
+const TRACKED_CHANGES = {
+  name: (event) => event.name,
+  date: (event) => `${event.start}|${event.end || ""}|${event.allDay}`,
+  link: (event) => event.link || null,
+  status: (event) => event.status || null,
+  type: (event) => event.type || null,
+  languages: (event) => (event.languages || []).join(","),
+  speakers: (event) => JSON.stringify(event.speakers || []),
+  description: (event) => JSON.stringify(event.description ?? null),
+  cover: (event) => event.cover?.src || null,
+};
+
+const LOCALES = { pt: "pt-PT", en: "en-GB" };
+
+const STATUS_LABELS = {
+  pt: {
+    Upcoming: "Próximo",
+    Ongoing: "A decorrer",
+    Past: "Passado",
+    Cancelled: "Cancelado",
+    Postponed: "Adiado",
+    Rescheduled: "Remarcado",
+    Draft: "Rascunho",
+  },
+  en: {},
+};
+
+const i18n = {
+  pt: {
+    added: (count) => `${count} ${count === 1 ? "adicionado" : "adicionados"}`,
+    removed: (count) => `${count} ${count === 1 ? "removido" : "removidos"}`,
+    changed: (count) => `${count} ${count === 1 ? "alterado" : "alterados"}`,
+    noChanges: "sem alterações",
+    name: (from) => `antes "${from}"`,
+    date: (from, to) => `data ${from} → ${to}`,
+    link: (from, to) => `link ${from} → ${to}`,
+    status: (from, to) => `estado ${from} → ${to}`,
+    type: (from, to) => `tipo ${from} → ${to}`,
+    languages: (from, to) => `idiomas ${from} → ${to}`,
+    speakers: (from, to) => `oradores ${from} → ${to}`,
+    description: () => "descrição atualizada",
+    cover: () => "imagem atualizada",
+    none: "(nenhum)",
+  },
+  en: {
+    added: (count) => `${count} added`,
+    removed: (count) => `${count} removed`,
+    changed: (count) => `${count} changed`,
+    noChanges: "no changes",
+    name: (from) => `renamed from "${from}"`,
+    date: (from, to) => `date ${from} → ${to}`,
+    link: (from, to) => `link ${from} → ${to}`,
+    status: (from, to) => `status ${from} → ${to}`,
+    type: (from, to) => `type ${from} → ${to}`,
+    languages: (from, to) => `languages ${from} → ${to}`,
+    speakers: (from, to) => `speakers ${from} → ${to}`,
+    description: () => "description updated",
+    cover: () => "image updated",
+    none: "(none)",
+  },
+};
+
+/**
+ * Key for matching events without a shared id
+ */
+function nameDateKey(event) {
+  return `${event.name}|${event.start}`;
+}
+
+/**
+ * Compares two lists of events
+ *
+ * @param {Array<object>} previous - Events before the sync (normalized)
+ * @param {Array<object>} next - Events after the sync
+ * @returns {{added: Array<object>, removed: Array<object>, changed: Array<{before: object, after: object, fields: string[]}>}}
+ */
+export function diffEvents(previous, next) {
+  const previousById = new Map(previous.map((event) => [event.id, event]));
+  const pairs = [];
+  const unmatched = [];
+
+  next.forEach((event) => {
+    const before = previousById.get(event.id);
+    if (before) {
+      pairs.push([before, event]);
+      previousById.delete(event.id);
+    } else {
+      unmatched.push(event);
+    }
+  });
+
+  // Second chance for events whose id changed (legacy file → Notion ids)
+  const leftovers = new Map([...previousById.values()].map((event) => [nameDateKey(event), event]));
+  const added = [];
+  unmatched.forEach((event) => {
+    const before = leftovers.get(nameDateKey(event));
+    if (before) {
+      pairs.push([before, event]);
+      leftovers.delete(nameDateKey(event));
+    } else {
+      added.push(event);
+    }
+  });
+
+  const changed = pairs
+    .map(([before, after]) => ({
+      before,
+      after,
+      fields: Object.keys(TRACKED_CHANGES).filter(
+        (field) => TRACKED_CHANGES[field](before) !== TRACKED_CHANGES[field](after)
+      ),
+    }))
+    .filter((change) => change.fields.length > 0);
+
+  return { added, removed: [...leftovers.values()], changed };
+}
+
+/**
+ * Whether a diff has anything to report
+ */
+export function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length > 0;
+}
+
+/**
+ * Formats an event's date in Lisbon time
+ */
+function formatDate(event, lang) {
+  const options = {
+    timeZone: EVENTS_TIMEZONE,
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    ...(event.allDay ? {} : { hour: "2-digit", minute: "2-digit", hour12: false }),
+  };
+  return new Intl.DateTimeFormat(LOCALES[lang], options).format(new Date(event.start));
+}
+
+/**
+ * Formats the value of a changed field
+ */
+function formatValue(field, event, lang) {
+  switch (field) {
+    case "date":
+      return formatDate(event, lang);
+    case "status":
+      return STATUS_LABELS[lang][event.status] || event.status || i18n[lang].none;
+    case "link":
+    case "type":
+      return event[field] || i18n[lang].none;
+    case "languages":
+      return event.languages?.length ? event.languages.join("/") : i18n[lang].none;
+    case "speakers":
+      return event.speakers?.length ? event.speakers.map((speaker) => speaker.name).join(", ") : i18n[lang].none;
+    default:
+      return event[field];
+  }
+}
+
+/**
+ * Formats a diff in one language
+ */
+function formatSection(diff, lang) {
+  const t = i18n[lang];
+  const counts = [
+    diff.added.length && t.added(diff.added.length),
+    diff.removed.length && t.removed(diff.removed.length),
+    diff.changed.length && t.changed(diff.changed.length),
+  ].filter(Boolean);
+
+  const lines = [`${lang.toUpperCase()} — ${counts.join(", ") || t.noChanges}`];
+  diff.added.forEach((event) => lines.push(`+ "${event.name}" (${formatDate(event, lang)})`));
+  diff.removed.forEach((event) => lines.push(`- "${event.name}" (${formatDate(event, lang)})`));
+  diff.changed.forEach(({ before, after, fields }) => {
+    const details = fields.map((field) =>
+      t[field](formatValue(field, before, lang), formatValue(field, after, lang))
+    );
+    lines.push(`~ "${after.name}": ${details.join("; ")}`);
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Formats a diff as the bilingual change report (PT, then EN)
+ *
+ * @returns {string}
+ */
+export function formatChangelog(diff) {
+  return `${formatSection(diff, "pt")}\n\n${formatSection(diff, "en")}\n`;
+}
@@ -0,0 +1,209 @@
+/**
+ * Event dates and statuses shared by the sync and feed scripts.
+ *
+ * Notion dates come as { start, end, time_zone }: `start`/`end` are either a
+ * date ("2026-06-01", all-day) or a date-time, which has no offset when
+ * `time_zone` is set. Everything is normalized to ISO strings with an offset,
+ * and all-day events to midnight in Europe/Lisbon, so "has this event ended?"
+ * is a plain instant comparison wherever the code runs.
+ */
+
+export const EVENTS_TIMEZONE = "Europe/Lisbon";
+export const DEFAULT_EVENT_DURATION_MINUTES = 120;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Frozen "now" from SYNC_NOW (ISO date-time), used by offline/fixture runs so
+ * status changes are reproducible; null when the real clock is used
+ */
+export function frozenNow() {
+  const value = process.env.SYNC_NOW;
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid SYNC_NOW: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Current time for status decisions (honours SYNC_NOW)
+ */
+export function syncNow() {
+  return frozenNow() || new Date();
+}
+
+/**
+ * Statuses set by hand in Notion. Events keep them through every sync and the
+ * status updater never moves them to Ongoing/Past.
+ */
+export const MANUAL_STATUSES = ["Cancelled", "Postponed", "Rescheduled"];
+
+/**
+ * Alternative spellings accepted for the manual statuses
+ */
+const STATUS_ALIASES = {
+  Canceled: "Cancelled",
+  Cancelado: "Cancelled",
+  Adiado: "Postponed",
+  Remarcado: "Rescheduled",
+};
+
+/**
+ * Maps a Notion status name to its canonical spelling
+ */
+export function normalizeStatus(name) {
+  if (!name) return name;
+  return STATUS_ALIASES[name] || name;
+}
+
+/**
+ * Offset (minutes east of UTC) of a timezone at a given instant
+ */
+function timeZoneOffsetMinutes(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Formats an offset in minutes as "+01:00"
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Converts a wall-clock date-time without offset ("2026-06-01T18:30:00.000")
+ * in a timezone to an ISO string with that zone's offset
+ */
+export function zonedTimeToISO(wallClock, timeZone) {
+  const local = wallClock.slice(0, 19);
+  const asUtc = new Date(`${local}Z`);
+  // Offset at the guessed instant, corrected once for DST transitions
+  let offset = timeZoneOffsetMinutes(asUtc, timeZone);
+  offset = timeZoneOffsetMinutes(new Date(asUtc.getTime() - offset * 60000), timeZone);
+  return `${local}.000${formatOffset(offset)}`;
+}
+
+/**
+ * Formats an instant as an ISO string with a timezone's offset
+ * (2026-06-23T17:30:00Z → "2026-06-23T18:30:00.000+01:00" in Lisbon)
+ */
+export function instantToZonedISO(date, timeZone = EVENTS_TIMEZONE) {
+  const offset = timeZoneOffsetMinutes(date, timeZone);
+  return `${new Date(date.getTime() + offset * 60000).toISOString().slice(0, 23)}${formatOffset(offset)}`;
+}
+
+/**
+ * Formats a date to a pretty string (e.g., "12 Nov 2025 19:00") in Lisbon time,
+ * independent of the runner's timezone. The site formats dates itself from the
+ * ISO date in the visitor's language; this is only a fallback.
+ */
+export function formatDatePretty(dateString, { allDay = false } = {}) {
+  if (!dateString) return null;
+
+  const date = new Date(dateString);
+  const formatter = new Intl.DateTimeFormat("en-GB", {
+    timeZone: EVENTS_TIMEZONE,
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    ...(allDay ? {} : { hour: "2-digit", minute: "2-digit", hour12: false }),
+  });
+
+  return formatter.format(date).replace(",", "");
+}
+
+/**
+ * Checks whether a Notion date value is a date without time
+ */
+function isDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ */
+function addDays(dateOnly, days) {
+  return new Date(Date.parse(`${dateOnly}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Normalizes a Notion date-time to an ISO string with offset
+ */
+function normalizeDateTime(value, timeZone) {
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(value)) return value;
+  return zonedTimeToISO(value, timeZone || EVENTS_TIMEZONE);
+}
+
+/**
+ * Normalizes a Notion date property value
+ *
+ * All-day events start at midnight in Lisbon and end at midnight after their
+ * last day (Notion's `end` is inclusive for dates).
+ *
+ * @param {{start: string, end?: string|null, time_zone?: string|null}} date
+ * @returns {{start: string, end: string|null, allDay: boolean, timeZone: string|null}|null}
+ */
+export function normalizeNotionDate(date) {
+  if (!date || !date.start) return null;
+
+  if (isDateOnly(date.start)) {
+    const lastDay = date.end && isDateOnly(date.end) ? date.end : date.start;
+    return {
+      start: zonedTimeToISO(`${date.start}T00:00:00`, EVENTS_TIMEZONE),
+      end: zonedTimeToISO(`${addDays(lastDay, 1)}T00:00:00`, EVENTS_TIMEZONE),
+      allDay: true,
+      timeZone: date.time_zone || null,
+    };
+  }
+
+  return {
+    start: normalizeDateTime(date.start, date.time_zone),
+    end: date.end ? normalizeDateTime(date.end, date.time_zone) : null,
+    allDay: false,
+    timeZone: date.time_zone || null,
+  };
+}
+
+/**
+ * Start and end instants of an event from events.json (without an end time,
+ * assumes the default duration)
+ */
+export function eventInterval(event) {
+  const start = new Date(event.start);
+  const end = event.end
+    ? new Date(event.end)
+    : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+  return { start, end };
+}
+
+/**
+ * Lifecycle status of an event at `now`: "Upcoming", "Ongoing" (started, not
+ * ended yet) or "Past" (only once it has actually ended)
+ */
+export function lifecycleStatus(event, now = syncNow()) {
+  const { start, end } = eventInterval(event);
+  if (Number.isNaN(start.getTime())) return null;
+  if (now >= end) return "Past";
+  if (now >= start) return "Ongoing";
+  return "Upcoming";
+}
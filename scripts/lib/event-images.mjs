@@ -0,0 +1,335 @@
+/**
+ * Event cover images, mirrored into the site by the fetch script.
+ *
+ * Files uploaded to Notion are served from signed URLs that expire after an
+ * hour, so events.json never points at them (or at any other host): each
+ * cover is downloaded once, resized into WebP and JPEG variants and written
+ * to assets/images/events/ under content-hashed names, so a replaced image
+ * always gets new URLs and browsers never show a stale copy. Metadata such
+ * as EXIF (camera, GPS position) is not copied into the variants.
+ *
+ * data/images.json (the manifest) maps each source to its files. Sources are
+ * keyed without the query string of Notion's signed URLs, which changes on
+ * every request. A file uploaded to Notion gets a new path when it is
+ * replaced, so it is downloaded once; an image on another host can change
+ * at the same URL, so full resyncs download those again (and only resize
+ * them when the content changed).
+ * Files no event of the archive references anymore are deleted by
+ * pruneImages(). Settings live in scripts/config/images.json.
+ */
+
+import { readFile, writeFile, mkdir, readdir, rm, access } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { createHash } from "crypto";
+import sharp from "sharp";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const IMAGES_CONFIG_PATH = join(__dirname, "..", "config", "images.json");
+
+const MANIFEST_VERSION = 1;
+
+// Names of the files written by the mirror (anything else in the directory is left alone)
+const VARIANT_PATTERN = /^[0-9a-f]{16}-\d+\.(webp|jpg)$/;
+
+const VARIANT_FORMATS = [
+  { type: "image/webp", extension: "webp", encode: (image, quality) => image.webp({ quality: quality.webp }) },
+  {
+    type: "image/jpeg",
+    extension: "jpg",
+    // JPEG has no transparency
+    encode: (image, quality) => image.flatten({ background: "#ffffff" }).jpeg({ quality: quality.jpeg, mozjpeg: true }),
+  },
+];
+
+/**
+ * Loads the image settings
+ */
+export async function loadImagesConfig(path = IMAGES_CONFIG_PATH) {
+  const config = JSON.parse(await readFile(path, "utf-8"));
+  return {
+    dir: config.dir || "assets/images/events",
+    manifest: config.manifest || "data/images.json",
+    widths: [...new Set(config.widths?.length ? config.widths : [480, 1200])].sort((a, b) => a - b),
+    quality: { webp: config.quality?.webp ?? 80, jpeg: config.quality?.jpeg ?? 82 },
+    formats: config.formats || ["jpeg", "png", "webp", "gif", "avif"],
+    maxBytes: config.maxBytes ?? 10 * 1024 * 1024,
+    maxPixels: config.maxPixels ?? 40_000_000,
+    timeoutMs: config.timeoutMs ?? 20_000,
+  };
+}
+
+/**
+ * Hash of the settings that shape the files, so changing them renames
+ * every image
+ */
+function settingsHash(config) {
+  const { widths, quality } = config;
+  return createHash("sha256").update(JSON.stringify({ widths, quality })).digest("hex").slice(0, 16);
+}
+
+/**
+ * Manifest key of an image source
+ *
+ * @param {{url: string, hosted: boolean}} source - `hosted` for files uploaded to Notion
+ */
+export function imageSourceKey(source) {
+  if (!source.hosted) return source.url;
+  const url = new URL(source.url);
+  return `${url.origin}${url.pathname}`;
+}
+
+/**
+ * Downloads an image, refusing anything over `maxBytes`
+ *
+ * @param {string} url
+ * @param {{maxBytes: number, timeoutMs: number}} limits
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadImage(url, { maxBytes, timeoutMs }) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs), redirect: "follow" });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} downloading the image`);
+  }
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > maxBytes) {
+    await response.body?.cancel();
+    throw new Error(`image is ${declared} bytes (limit ${maxBytes})`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`image is over ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Reads the manifest, or an empty one
+ *
+ * @returns {Promise<{version: number, settings: string|null, images: object}>}
+ */
+export async function readImageManifest(path) {
+  try {
+    const manifest = JSON.parse(await readFile(path, "utf-8"));
+    return { version: MANIFEST_VERSION, settings: manifest.settings || null, images: manifest.images || {} };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { version: MANIFEST_VERSION, settings: null, images: {} };
+    }
+    throw error;
+  }
+}
+
+function formatManifest(manifest) {
+  const images = Object.fromEntries(Object.keys(manifest.images).sort().map((key) => [key, manifest.images[key]]));
+  return JSON.stringify({ version: MANIFEST_VERSION, settings: manifest.settings, images }, null, 2) + "\n";
+}
+
+/**
+ * Writes the manifest if it changed
+ *
+ * @returns {Promise<boolean>} Whether it was written
+ */
+export async function writeImageManifest(path, manifest) {
+  const text = formatManifest(manifest);
+  const current = await readFile(path, "utf-8").catch(() => null);
+  if (current === text) return false;
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, text, "utf-8");
+  return true;
+}
+
+/**
+ * Files of a cover (largest JPEG, then every variant)
+ */
+function coverFiles(cover) {
+  return [cover.src, ...cover.variants.map((variant) => variant.src)].map((src) => src.split("/").pop());
+}
+
+/**
+ * Resizes an image into the variants of the settings (never upscaled)
+ *
+ * @returns {Promise<{cover: object, files: Map<string, Buffer>}>}
+ */
+async function processImage(bytes, config, { hash, publicDir }) {
+  const options = { limitInputPixels: config.maxPixels };
+  const metadata = await sharp(bytes, options).metadata();
+  if (!config.formats.includes(metadata.format)) {
+    throw new Error(`unsupported image format "${metadata.format}"`);
+  }
+  const sourceWidth = metadata.autoOrient?.width ?? metadata.width;
+  const widths = [...new Set(config.widths.map((width) => Math.min(width, sourceWidth)))];
+
+  const files = new Map();
+  const variants = [];
+  let largest = null;
+  for (const width of widths) {
+    for (const format of VARIANT_FORMATS) {
+      const image = sharp(bytes, options).autoOrient().resize({ width, withoutEnlargement: true });
+      const { data, info } = await format.encode(image, config.quality).toBuffer({ resolveWithObject: true });
+      const name = `${hash}-${width}.${format.extension}`;
+      files.set(name, data);
+      variants.push({ src: `${publicDir}/${name}`, type: format.type, width: info.width });
+      if (format.type === "image/jpeg") {
+        largest = { src: `${publicDir}/${name}`, width: info.width, height: info.height };
+      }
+    }
+  }
+
+  return { cover: { ...largest, variants }, files };
+}
+
+/**
+ * Creates the mirror of one sync
+ *
+ * Images are processed in memory; nothing is written until write(), so a
+ * sync refused by the guardrails (or a dry run) leaves the site untouched.
+ *
+ * @param {object} options
+ * @param {string} options.rootDir - Site root
+ * @param {object} options.config - From loadImagesConfig()
+ * @param {object} options.manifest - From readImageManifest()
+ * @param {Function} [options.download] - (url, limits) → Buffer, downloadImage() by default
+ * @param {boolean} [options.revalidate] - Download images from other hosts than
+ *   Notion again, even when they are in the manifest (full resyncs)
+ */
+export function createImageMirror({ rootDir, config, manifest, download = downloadImage, revalidate = false }) {
+  const settings = settingsHash(config);
+  const publicDir = `/${config.dir.replace(/^\/+|\/+$/g, "")}`;
+  const outputDir = join(rootDir, config.dir);
+  const images = manifest.settings === settings ? { ...manifest.images } : {};
+  const pending = new Map();
+  const covers = new Map();
+  let downloaded = 0;
+
+  const filesExist = async (cover) => {
+    try {
+      await Promise.all(coverFiles(cover).map((name) => access(join(outputDir, name))));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const mirrorSource = async (source) => {
+    const key = imageSourceKey(source);
+    const known = images[key];
+    if (known && !(revalidate && !source.hosted) && (await filesExist(known.cover))) {
+      return known.cover;
+    }
+
+    const bytes = await download(source.url, { maxBytes: config.maxBytes, timeoutMs: config.timeoutMs });
+    downloaded++;
+    if (bytes.length > config.maxBytes) {
+      throw new Error(`image is ${bytes.length} bytes (limit ${config.maxBytes})`);
+    }
+    const hash = createHash("sha256").update(bytes).update(settings).digest("hex").slice(0, 16);
+    if (known?.hash === hash && (await filesExist(known.cover))) {
+      return known.cover;
+    }
+    const { cover, files } = await processImage(bytes, config, { hash, publicDir });
+    files.forEach((data, name) => pending.set(name, data));
+    images[key] = { hash, cover };
+    return cover;
+  };
+
+  return {
+    /**
+     * Mirrors an image (once per source and sync)
+     *
+     * @param {{url: string, hosted: boolean}} source
+     * @returns {Promise<object>} Cover for events.json: the largest JPEG
+     *   (`src`, `width`, `height`) and every variant (`src`, `type`, `width`)
+     */
+    mirror(source) {
+      const key = imageSourceKey(source);
+      if (!covers.has(key)) {
+        covers.set(
+          key,
+          mirrorSource(source).catch((error) => {
+            covers.delete(key);
+            throw error;
+          })
+        );
+      }
+      return covers.get(key);
+    },
+
+    /**
+     * Writes the new image files
+     *
+     * @returns {Promise<string[]>} Paths written
+     */
+    async write() {
+      const written = [];
+      if (pending.size > 0) {
+        await mkdir(outputDir, { recursive: true });
+      }
+      for (const [name, data] of pending) {
+        const path = join(outputDir, name);
+        await writeFile(path, data);
+        written.push(path);
+      }
+      pending.clear();
+      return written;
+    },
+
+    /**
+     * Manifest after this sync (before pruning)
+     */
+    get manifest() {
+      return { version: MANIFEST_VERSION, settings, images };
+    },
+
+    /**
+     * Number of images downloaded so far
+     */
+    get downloaded() {
+      return downloaded;
+    },
+  };
+}
+
+/**
+ * Deletes the image files no cover references, and their manifest entries
+ *
+ * @param {object} options
+ * @param {string} options.rootDir - Site root
+ * @param {object} options.config - From loadImagesConfig()
+ * @param {object} options.manifest - Manifest to prune
+ * @param {Array<object>} options.covers - Covers still in use (every event of the archive)
+ * @returns {Promise<{manifest: object, removed: string[]}>}
+ */
+export async function pruneImages({ rootDir, config, manifest, covers }) {
+  const used = new Set(covers.flatMap(coverFiles));
+  const outputDir = join(rootDir, config.dir);
+
+  let names;
+  try {
+    names = await readdir(outputDir);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    names = [];
+  }
+
+  const removed = [];
+  for (const name of names) {
+    if (VARIANT_PATTERN.test(name) && !used.has(name)) {
+      const path = join(outputDir, name);
+      await rm(path, { force: true });
+      removed.push(path);
+    }
+  }
+
+  const images = Object.fromEntries(
+    Object.entries(manifest.images).filter(([, entry]) => coverFiles(entry.cover).every((name) => used.has(name)))
+  );
+  return { manifest: { ...manifest, images }, removed };
+}
@@ -0,0 +1,361 @@
+/**
+ * Event sources besides Notion: partner calendars imported by the sync.
+ *
+ * Notion stays the source of our own events. Partners (other meetups in
+ * Coimbra) publish theirs as calendar feeds, listed in
+ * scripts/config/event-sources.json. Each source has a `type`, read by one
+ * of SOURCE_TYPES (only "ics", iCalendar, for now), which returns events in
+ * the events.json format (see public/events.schema.json) with `importedFrom`
+ * set to the source's id. Only the name, dates, status and link of an event
+ * are imported; descriptions, venues and the like never leave the feed.
+ *
+ * An imported event that is already in Notion (same day in Lisbon, and the
+ * same link or name) is not published twice: the Notion event wins, and
+ * only the fields it leaves empty are filled from the feed (see
+ * mergeImportedEvents()). A source that can't be read keeps its events from
+ * the last sync.
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { createHash } from "crypto";
+import {
+  normalizeNotionDate,
+  instantToZonedISO,
+  lifecycleStatus,
+  formatDatePretty,
+  syncNow,
+  EVENTS_TIMEZONE,
+} from "./event-dates.mjs";
+import { parseCalendar, isOwnUid } from "./ics.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const EVENT_SOURCES_CONFIG_PATH = join(__dirname, "..", "config", "event-sources.json");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields of a Notion event the feed may fill when Notion leaves them empty
+ */
+const FILLED_FIELDS = ["end", "type", "languages", "link"];
+
+/**
+ * Loads and checks the sources
+ *
+ * @param {string} [path] - EVENT_SOURCES_CONFIG, or the one in scripts/config/
+ * @returns {Promise<{maxBytes: number, timeoutMs: number, pastDays: number, sources: Array<object>}>}
+ */
+export async function loadEventSourcesConfig(path = process.env.EVENT_SOURCES_CONFIG || EVENT_SOURCES_CONFIG_PATH) {
+  const config = JSON.parse(await readFile(path, "utf-8"));
+  if (!Array.isArray(config.sources)) {
+    throw new Error(`${path}: "sources" must be an array`);
+  }
+
+  const seen = new Set();
+  const sources = config.sources.map((source, index) => {
+    const at = `${path}: sources[${index}]`;
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(source.id || "")) {
+      throw new Error(`${at} needs an "id" of lowercase letters, digits and dashes`);
+    }
+    if (seen.has(source.id)) {
+      throw new Error(`${at}: id "${source.id}" is used more than once`);
+    }
+    seen.add(source.id);
+    if (!Object.hasOwn(SOURCE_TYPES, source.type)) {
+      throw new Error(`${at} ("${source.id}") has unknown type "${source.type}" (expected one of ${Object.keys(SOURCE_TYPES).join(", ")})`);
+    }
+    if (!httpUrl(source.url)) {
+      throw new Error(`${at} ("${source.id}") needs an http(s) "url"`);
+    }
+    if (source.link !== undefined && source.link !== null && !httpUrl(source.link)) {
+      throw new Error(`${at} ("${source.id}"): "link" must be an http(s) URL`);
+    }
+    const languages = source.languages || [];
+    if (!Array.isArray(languages) || languages.some((language) => !/^[A-Z]{2}$/.test(language))) {
+      throw new Error(`${at} ("${source.id}"): "languages" must be a list of codes like "PT"`);
+    }
+
+    return {
+      id: source.id,
+      name: source.name || source.id,
+      type: source.type,
+      url: source.url,
+      eventType: source.eventType || "Partner Event",
+      languages,
+      link: source.link ? httpUrl(source.link) : null,
+    };
+  });
+
+  return {
+    maxBytes: config.maxBytes ?? 1024 * 1024,
+    timeoutMs: config.timeoutMs ?? 20_000,
+    pastDays: config.pastDays ?? 90,
+    sources,
+  };
+}
+
+/**
+ * Keeps a URL only if it is an http(s) one
+ */
+function httpUrl(value) {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Downloads a feed, refusing anything over `maxBytes`
+ *
+ * @param {string} url
+ * @param {{maxBytes: number, timeoutMs: number}} limits
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadFeed(url, { maxBytes, timeoutMs }) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs), redirect: "follow" });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} downloading the feed`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`feed is over ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Checks a TZID against the timezones this runtime knows (Outlook, for one,
+ * writes Windows names); unknown ones fall back to Lisbon
+ */
+function knownTimeZone(timeZone) {
+  if (!timeZone) return null;
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+    return timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Dates of a calendar event, normalized like Notion's (see normalizeNotionDate)
+ *
+ * iCalendar all-day events end the day after their last one, Notion's on it.
+ */
+function eventDates({ start, end, duration }) {
+  if (start.date) {
+    const days = Math.round((end?.date ? Date.parse(end.date) - Date.parse(start.date) : duration ?? DAY_MS) / DAY_MS);
+    const lastDay = new Date(Date.parse(start.date) + Math.max(days - 1, 0) * DAY_MS).toISOString().slice(0, 10);
+    return normalizeNotionDate({ start: start.date, end: lastDay });
+  }
+
+  const timeZone = knownTimeZone(start.timeZone);
+  const wallClock = (value) => (value.utc ? instantToZonedISO(new Date(`${value.dateTime}Z`)) : value.dateTime);
+  const dates = normalizeNotionDate({
+    start: wallClock(start),
+    end: end?.dateTime ? wallClock(end) : null,
+    time_zone: timeZone,
+  });
+  if (!dates.end && duration > 0) {
+    dates.end = instantToZonedISO(new Date(new Date(dates.start).getTime() + duration), timeZone || EVENTS_TIMEZONE);
+  }
+  return dates;
+}
+
+/**
+ * Reads an iCalendar feed
+ *
+ * @returns {Promise<{events: Array<object>, skipped: number}>} Events in the
+ *   events.json format, and how many of the feed's were left out (recurring,
+ *   incomplete, ours, or over `pastDays` old)
+ */
+async function readIcsSource(source, { config, download, now }) {
+  const text = (await download(source.url, { maxBytes: config.maxBytes, timeoutMs: config.timeoutMs })).toString("utf-8");
+  if (!/^\s*BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error("not an iCalendar file");
+  }
+
+  const oldest = new Date(now.getTime() - config.pastDays * DAY_MS);
+  const events = new Map();
+  let skipped = 0;
+
+  parseCalendar(text).forEach((item) => {
+    // Repeating events would need expanding; partners publish dated ones
+    if (item.recurring || !item.summary || !item.start || (item.uid && isOwnUid(item.uid))) {
+      skipped++;
+      return;
+    }
+    const dates = eventDates(item);
+    const ended = lifecycleStatus({ start: dates.start, end: dates.end }, oldest) === "Past";
+    if (ended) {
+      skipped++;
+      return;
+    }
+
+    // RFC 5545 requires a UID; without one the name and start identify it
+    const uid = item.uid || `${item.summary}|${dates.start}`;
+    const id = `${source.id}-${createHash("sha1").update(uid).digest("hex").slice(0, 16)}`;
+    const event = {
+      id,
+      name: item.summary,
+      ...dates,
+      status: item.status === "CANCELLED" ? "Cancelled" : lifecycleStatus({ start: dates.start, end: dates.end }, now),
+      previousStart: null,
+      type: source.eventType,
+      languages: source.languages,
+      link: httpUrl(item.url) || source.link,
+      datePretty: formatDatePretty(dates.start, { allDay: dates.allDay }),
+      // DTSTAMP is often the time the feed was generated, so only
+      // LAST-MODIFIED counts as an edit
+      lastEditedTime: item.lastModified,
+      speakers: [],
+      description: null,
+      location: null,
+      cover: null,
+      importedFrom: source.id,
+    };
+    if (!events.has(id)) {
+      events.set(id, event);
+    }
+  });
+
+  return { events: [...events.values()], skipped };
+}
+
+/**
+ * Readers by source `type`
+ */
+export const SOURCE_TYPES = {
+  ics: readIcsSource,
+};
+
+/**
+ * Reads every source
+ *
+ * A source that fails keeps the events it had (`previous`), with their
+ * status brought up to date.
+ *
+ * @param {object} config - From loadEventSourcesConfig()
+ * @param {object} options
+ * @param {Function} [options.download] - (url, limits) → Buffer, downloadFeed() by default
+ * @param {Array<object>} [options.previous] - Events published last time
+ * @returns {Promise<{events: Array<object>, sources: Array<object>, failed: Array<object>}>}
+ */
+export async function importEvents(config, { download = downloadFeed, previous = [], now = syncNow() } = {}) {
+  const result = { events: [], sources: [], failed: [] };
+
+  for (const source of config.sources) {
+    try {
+      const { events, skipped } = await SOURCE_TYPES[source.type](source, { config, download, now });
+      result.events.push(...events);
+      result.sources.push({ id: source.id, name: source.name, events: events.length, skipped });
+    } catch (error) {
+      const kept = previous
+        .filter((event) => event.importedFrom === source.id)
+        .map((event) => (event.status === "Cancelled" ? event : { ...event, status: lifecycleStatus(event, now) }));
+      result.events.push(...kept);
+      result.failed.push({ id: source.id, name: source.name, error: error.message, kept: kept.length });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Day of an event in Lisbon ("YYYY-MM-DD")
+ */
+function eventDay(event) {
+  return instantToZonedISO(new Date(event.start)).slice(0, 10);
+}
+
+/**
+ * Compares links without scheme, "www.", query, fragment or trailing slash
+ */
+function linkKey(link) {
+  try {
+    const url = new URL(link);
+    return `${url.hostname.replace(/^www\./, "")}${url.pathname.replace(/\/+$/, "")}`.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compares names without case, accents or punctuation
+ */
+function nameKey(name) {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Whether two events are the same one: same day, and same link or name
+ */
+function isSameEvent(a, b) {
+  if (eventDay(a) !== eventDay(b)) return false;
+  const link = linkKey(a.link);
+  return Boolean(link && link === linkKey(b.link)) || nameKey(a.name) === nameKey(b.name);
+}
+
+/**
+ * Fills the fields `event` leaves empty from an imported copy of it
+ */
+function fillEmptyFields(event, imported) {
+  const filled = { ...event };
+  FILLED_FIELDS.forEach((field) => {
+    const empty = filled[field] === null || (Array.isArray(filled[field]) && !filled[field].length);
+    if (!empty || imported[field] === null) return;
+    // An end only makes sense with the same kind of dates, after the start
+    if (field === "end" && (filled.allDay !== imported.allDay || new Date(imported.end) <= new Date(filled.start))) return;
+    filled[field] = imported[field];
+  });
+  return filled;
+}
+
+/**
+ * Adds the imported events to Notion's, once each
+ *
+ * An imported event matching a Notion event (or one imported before it,
+ * sources in config order) only fills that event's empty fields.
+ *
+ * @param {Array<object>} events - Events from Notion
+ * @param {Array<object>} imported - From importEvents()
+ * @returns {{events: Array<object>, merged: Array<{id: string, name: string, into: string}>}}
+ */
+export function mergeImportedEvents(events, imported) {
+  const result = [...events];
+  const merged = [];
+
+  imported.forEach((event) => {
+    const index = result.findIndex((candidate) => isSameEvent(candidate, event));
+    if (index === -1) {
+      result.push(event);
+      return;
+    }
+    result[index] = fillEmptyFields(result[index], event);
+    merged.push({ id: event.id, name: event.name, into: result[index].id });
+  });
+
+  return { events: result, merged };
+}
+
+/**
+ * Whether an event was imported from a partner feed
+ */
+export function isImportedEvent(event) {
+  return Boolean(event.importedFrom);
+}
@@ -0,0 +1,212 @@
+/**
+ * Permanent archive of published events, keyed by Notion page id.
+ *
+ * events.json only holds what Notion returns, so unticking "Visible on site"
+ * or deleting a page would drop an event from the site's history. The
+ * archive (data/events-archive.json, committed with the site but left out of
+ * the deployed pages, see static.yml) remembers every event the sync has
+ * published:
+ *
+ * - Entries are never deleted; while an event is in Notion its entry follows
+ *   the latest Notion version
+ * - When an event leaves Notion its entry gets `removedAt`. If it had already
+ *   ended by then it is kept on the site with the other past events;
+ *   otherwise (e.g. an upcoming event taken down) it is dropped
+ * - A tombstone (`hidden`, set with `npm run archive-events -- hide <id>`)
+ *   keeps a removed event off the site; `restore` lifts it again
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "entries": {
+ *       "<page id>": { "firstSeenAt": "...", "removedAt": null, "hidden": null, "event": { ... } }
+ *     }
+ *   }
+ *
+ * Entries only hold published fields (the events.json format), never the
+ * private Notion properties.
+ *
+ * Events imported from partner calendars (see event-sources.mjs) have entries
+ * too, keyed by their own id: for them, "in Notion" means "in their feed".
+ */
+
+import { readFile } from "fs/promises";
+import { join } from "path";
+import { lifecycleStatus, syncNow } from "./event-dates.mjs";
+import { writeFileAtomic } from "./sync-safety.mjs";
+
+export const EVENTS_ARCHIVE_VERSION = 1;
+
+// Relative to the site root
+export const EVENTS_ARCHIVE_FILE = join("data", "events-archive.json");
+
+/**
+ * Reads the archive
+ *
+ * @returns {Promise<object|null>} null when there is no archive yet
+ */
+export async function readArchive(path) {
+  let text;
+  try {
+    text = await readFile(path, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  const archive = JSON.parse(text);
+  if (archive.schemaVersion !== EVENTS_ARCHIVE_VERSION || typeof archive.entries !== "object") {
+    throw new Error(`${path} is not an events archive (schemaVersion ${EVENTS_ARCHIVE_VERSION})`);
+  }
+  return archive;
+}
+
+/**
+ * Order of entries and published events: by start, then id
+ */
+function compareEvents(a, b) {
+  return new Date(a.start) - new Date(b.start) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Serializes the archive, entries sorted by start for readable diffs
+ */
+export function formatArchive(archive) {
+  const entries = Object.values(archive.entries).sort((a, b) => compareEvents(a.event, b.event));
+  return `${JSON.stringify(
+    {
+      schemaVersion: EVENTS_ARCHIVE_VERSION,
+      entries: Object.fromEntries(entries.map((entry) => [entry.event.id, entry])),
+    },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * Writes the archive atomically
+ */
+export async function writeArchive(path, archive) {
+  await writeFileAtomic(path, formatArchive(archive));
+}
+
+/**
+ * Starts an archive from the events currently published, so the first sync
+ * with an archive keeps today's history
+ */
+export function seedArchive(events, now = syncNow()) {
+  const entries = {};
+  events.forEach((event) => {
+    entries[event.id] = { firstSeenAt: now.toISOString(), removedAt: null, hidden: null, event };
+  });
+  return { schemaVersion: EVENTS_ARCHIVE_VERSION, entries };
+}
+
+/**
+ * Whether an entry's event is in Notion (as of the last sync)
+ */
+export function isLive(entry) {
+  return !entry.removedAt;
+}
+
+/**
+ * Whether a removed entry stays on the site: it had ended when it left
+ * Notion and isn't tombstoned
+ */
+export function isRetained(entry) {
+  return Boolean(entry.removedAt) && !entry.hidden && lifecycleStatus(entry.event, new Date(entry.removedAt)) === "Past";
+}
+
+/**
+ * State of an entry, for listings: live, archived (retained), hidden or
+ * dropped (left Notion before it ended)
+ */
+export function entryState(entry) {
+  if (isLive(entry)) return "live";
+  if (entry.hidden) return "hidden";
+  return isRetained(entry) ? "archived" : "dropped";
+}
+
+/**
+ * Events in Notion as of the last sync
+ */
+export function liveEvents(archive) {
+  return Object.values(archive.entries)
+    .filter(isLive)
+    .map((entry) => entry.event)
+    .sort(compareEvents);
+}
+
+/**
+ * Events to publish: the ones in Notion plus the retained ones
+ */
+export function publishedEvents(archive) {
+  return Object.values(archive.entries)
+    .filter((entry) => isLive(entry) || isRetained(entry))
+    .map((entry) => entry.event)
+    .sort(compareEvents);
+}
+
+/**
+ * Records a sync: events from Notion become (or stay) live with their latest
+ * data, entries no longer in Notion are marked as removed
+ *
+ * Entries created from the legacy file format have generated ids, so they
+ * are matched to Notion events by name and start and moved to the page id.
+ *
+ * @param {object} archive - Current archive (not modified)
+ * @param {Array<object>} events - Events fetched from Notion
+ * @returns {object} Updated archive
+ */
+export function updateArchive(archive, events, now = syncNow()) {
+  const entries = structuredClone(archive.entries);
+  const timestamp = now.toISOString();
+  const seen = new Set(events.map((event) => event.id));
+
+  const unmatchedByNameDate = new Map(
+    Object.values(entries)
+      .filter((entry) => !seen.has(entry.event.id))
+      .map((entry) => [`${entry.event.name}|${entry.event.start}`, entry])
+  );
+
+  events.forEach((event) => {
+    let entry = entries[event.id];
+    if (!entry) {
+      const legacy = unmatchedByNameDate.get(`${event.name}|${event.start}`);
+      if (legacy) {
+        delete entries[legacy.event.id];
+        unmatchedByNameDate.delete(`${event.name}|${event.start}`);
+        entry = legacy;
+      }
+    }
+    entries[event.id] = {
+      firstSeenAt: entry?.firstSeenAt || timestamp,
+      removedAt: null,
+      hidden: entry?.hidden || null,
+      event,
+    };
+  });
+
+  Object.values(entries).forEach((entry) => {
+    if (!seen.has(entry.event.id) && !entry.removedAt) {
+      entry.removedAt = timestamp;
+    }
+  });
+
+  return { schemaVersion: EVENTS_ARCHIVE_VERSION, entries };
+}
+
+/**
+ * Finds an entry by page id (or an unambiguous prefix of one)
+ *
+ * @throws {Error} When no entry, or more than one, matches
+ */
+export function findEntry(archive, id) {
+  if (archive.entries[id]) return archive.entries[id];
+  const matches = Object.keys(archive.entries).filter((key) => key.startsWith(id));
+  if (matches.length === 1) return archive.entries[matches[0]];
+  throw new Error(
+    matches.length === 0
+      ? `No archived event with id ${id}`
+      : `Id ${id} matches ${matches.length} archived events, use more characters`
+  );
+}
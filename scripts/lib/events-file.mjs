@@ -0,0 +1,133 @@
+/**
+ * Reading, writing and validating public/events.json.
+ *
+ * The file is a versioned envelope (see public/events.schema.json):
+ *
+ *   {
+ *     "$schema": "https://coimbratech.org/public/events.schema.json",
+ *     "schemaVersion": 1,
+ *     "generatedAt": "2026-06-10T12:00:00.000Z",
+ *     "source": { "type": "notion", "lastEditedTime": "..." },
+ *     "events": [{ "id", "name", "start", "end", "allDay", ... }]
+ *   }
+ *
+ * Older files were a bare array of events keyed by Notion property names
+ * (`Name`, `Date`, `Type`, ...); readers still accept them during the
+ * transition and convert them to the current event shape.
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { createHash } from "crypto";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const EVENTS_SCHEMA_VERSION = 1;
+export const EVENTS_SCHEMA_PATH = join(__dirname, "..", "..", "public", "events.schema.json");
+export const EVENTS_SCHEMA_URL = "https://coimbratech.org/public/events.schema.json";
+
+/**
+ * Wraps events in the versioned envelope
+ *
+ * @param {Array<object>} events - Normalized events
+ * @param {object} options
+ * @param {Date} options.generatedAt
+ * @param {{type: string, lastEditedTime?: string|null}} options.source
+ */
+export function buildEventsEnvelope(events, { generatedAt, source }) {
+  return {
+    $schema: EVENTS_SCHEMA_URL,
+    schemaVersion: EVENTS_SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    source,
+    events,
+  };
+}
+
+/**
+ * Stable id for legacy events without a Notion page id
+ */
+function legacyEventId(event) {
+  return `event-${createHash("sha1")
+    .update(`${event.Name || ""}|${event.Date || ""}`)
+    .digest("hex")
+    .slice(0, 16)}`;
+}
+
+/**
+ * Converts an event from the legacy bare-array format
+ */
+export function fromLegacyEvent(event) {
+  return {
+    id: event.id || legacyEventId(event),
+    name: event.Name || event.name || "",
+    start: event.Date || event.date || "",
+    end: event.DateEnd || null,
+    allDay: event.allDay === true,
+    timeZone: event.timeZone || null,
+    status: event.Status || null,
+    previousStart: event.previousStartDate || null,
+    type: event.Type || null,
+    languages: Array.isArray(event.Language) ? event.Language : [],
+    link: event.Link || null,
+    datePretty: event.datePretty || null,
+    lastEditedTime: event.lastEditedTime || null,
+  };
+}
+
+/**
+ * Returns the events of a parsed events.json (envelope or legacy array)
+ */
+export function eventsFromJson(data) {
+  if (Array.isArray(data)) {
+    return data.map(fromLegacyEvent);
+  }
+  if (data && Array.isArray(data.events)) {
+    if (data.schemaVersion > EVENTS_SCHEMA_VERSION) {
+      console.warn(`⚠️  events.json schemaVersion ${data.schemaVersion} is newer than supported (${EVENTS_SCHEMA_VERSION})`);
+    }
+    return data.events;
+  }
+  throw new Error("Unrecognized events.json format (expected an envelope with `events`)");
+}
+
+/**
+ * Reads the events from an events.json file
+ *
+ * @param {string} path
+ * @returns {Promise<Array<object>>}
+ */
+export async function readEventsFile(path) {
+  return eventsFromJson(JSON.parse(await readFile(path, "utf-8")));
+}
+
+let validator = null;
+
+/**
+ * Validates an envelope against public/events.schema.json
+ *
+ * @returns {Promise<string[]>} Readable errors (empty when valid)
+ */
+export async function validateEventsEnvelope(envelope) {
+  if (!validator) {
+    // Loaded here: the sitemap workflow runs scripts that read events.json
+    // without installing dependencies
+    const { default: Ajv } = await import("ajv");
+    const { default: addFormats } = await import("ajv-formats");
+    const schema = JSON.parse(await readFile(EVENTS_SCHEMA_PATH, "utf-8"));
+    const ajv = new Ajv({ allErrors: true });
+    addFormats(ajv);
+    validator = ajv.compile(schema);
+  }
+
+  if (validator(envelope)) return [];
+
+  return validator.errors.map((error) => {
+    const match = error.instancePath.match(/^\/events\/(\d+)/);
+    const event = match ? envelope.events[Number(match[1])] : null;
+    const where = error.instancePath || "(root)";
+    const extra = error.params?.additionalProperty ? `: "${error.params.additionalProperty}"` : "";
+    return `${where} ${error.message}${extra}${event?.name ? ` (event "${event.name}")` : ""}`;
+  });
+}
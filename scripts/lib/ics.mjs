@@ -0,0 +1,353 @@
+/**
+ * Minimal RFC 5545 (iCalendar) writer for the events feeds, and reader for
+ * the partner feeds imported by the sync (see scripts/lib/event-sources.mjs).
+ *
+ * Events are written with a TZID=Europe/Lisbon wall-clock time and a matching
+ * VTIMEZONE block, so calendar apps show the same time as the site regardless
+ * of where the sync runs.
+ */
+
+import { createHash } from "crypto";
+import { EVENTS_TIMEZONE, eventInterval } from "./event-dates.mjs";
+
+export const CALENDAR_TIMEZONE = EVENTS_TIMEZONE;
+
+const PRODID = "-//Coimbra Tech Afterhours//Events//EN";
+
+/**
+ * VEVENT STATUS for manual Notion statuses (anything else is CONFIRMED)
+ */
+const EVENT_STATUS = {
+  Cancelled: "CANCELLED",
+  Postponed: "TENTATIVE",
+};
+const UID_DOMAIN = "coimbratech.org";
+
+/**
+ * Europe/Lisbon follows the EU rules: WEST (+01:00) from the last Sunday of
+ * March at 01:00 UTC until the last Sunday of October at 01:00 UTC.
+ */
+const VTIMEZONE_LISBON = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${CALENDAR_TIMEZONE}`,
+  `X-LIC-LOCATION:${CALENDAR_TIMEZONE}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0000",
+  "TZOFFSETTO:+0100",
+  "TZNAME:WEST",
+  "DTSTART:19700329T010000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0000",
+  "TZNAME:WET",
+  "DTSTART:19701025T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+const lisbonPartsFormatter = new Intl.DateTimeFormat("en-GB", {
+  timeZone: CALENDAR_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * Escapes a TEXT value (RFC 5545 §3.3.11)
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,");
+}
+
+/**
+ * Folds a content line to 75 octets, continuing with a single space (RFC 5545 §3.1)
+ */
+export function foldLine(line) {
+  const bytes = Buffer.from(line, "utf-8");
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf-8");
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+      limit = 74; // Continuation lines start with a space
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Formats a Date as UTC date-time (e.g. "20251007T173000Z")
+ */
+export function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Formats a Date as Europe/Lisbon local date-time (e.g. "20251007T183000")
+ */
+export function formatLisbonDateTime(date) {
+  const parts = Object.fromEntries(
+    lisbonPartsFormatter.formatToParts(date).map((part) => [part.type, part.value])
+  );
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+/**
+ * Formats a Date as Europe/Lisbon local date (e.g. "20251007"), for all-day events
+ */
+export function formatLisbonDate(date) {
+  return formatLisbonDateTime(date).slice(0, 8);
+}
+
+/**
+ * Builds a stable UID for an event, preferring the Notion page id
+ */
+export function eventUid(event) {
+  if (event.id) {
+    return `${event.id}@${UID_DOMAIN}`;
+  }
+  const hash = createHash("sha1")
+    .update(`${event.name || ""}|${event.start || ""}`)
+    .digest("hex")
+    .slice(0, 16);
+  return `event-${hash}@${UID_DOMAIN}`;
+}
+
+/**
+ * Whether a UID is one of ours (a partner feed that republishes our events)
+ */
+export function isOwnUid(uid) {
+  return String(uid).toLowerCase().endsWith(`@${UID_DOMAIN}`);
+}
+
+/**
+ * Location of an event, as far as its visibility allows (hidden venues are
+ * just "Coimbra, Portugal"); matches locationText() in assets/js/events.js
+ */
+function locationText(event) {
+  const location = event.location;
+  const parts = !location
+    ? []
+    : location.visibility === "full"
+      ? [location.name, location.address, location.city]
+      : [location.neighbourhood, location.city];
+  const text = [...new Set(parts.filter(Boolean))].join(", ");
+  return `${text || "Coimbra"}, Portugal`;
+}
+
+/**
+ * Maps an event from events.json to the lines of a VEVENT block
+ */
+function buildVEvent(event) {
+  const name = event.name;
+  const { start, end } = eventInterval(event);
+  const lastModified = event.lastEditedTime ? new Date(event.lastEditedTime) : null;
+  // Never the current time: an unchanged event must give a byte-identical
+  // feed, or every sync would commit (and deploy) new .ics files
+  const stamp = lastModified || start;
+  const category = event.type || "Afterhours";
+
+  // All-day events use DATE values (DTEND is the day after the last day)
+  const times = event.allDay
+    ? [
+      `DTSTART;VALUE=DATE:${formatLisbonDate(start)}`,
+      `DTEND;VALUE=DATE:${formatLisbonDate(end)}`,
+    ]
+    : [
+      `DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatLisbonDateTime(start)}`,
+      `DTEND;TZID=${CALENDAR_TIMEZONE}:${formatLisbonDateTime(end)}`,
+    ];
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(event)}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`,
+    ...times,
+    `SUMMARY:${escapeText(name)}`,
+    `CATEGORIES:${escapeText(category)}`,
+    `LOCATION:${escapeText(locationText(event))}`,
+    `STATUS:${EVENT_STATUS[event.status] || "CONFIRMED"}`,
+    "TRANSP:OPAQUE",
+  ];
+
+  if (lastModified) {
+    lines.push(`LAST-MODIFIED:${formatUtcDateTime(lastModified)}`);
+  }
+
+  if (event.link) {
+    lines.push(`URL:${event.link}`);
+    lines.push(`DESCRIPTION:${escapeText(`Details / RSVP: ${event.link}`)}`);
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Builds a complete VCALENDAR document for the given events
+ *
+ * @param {Array<object>} events - Events as written to public/events.json
+ * @param {object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ *   (DTSTAMP is each event's last Notion edit, or its start when unknown)
+ */
+export function buildCalendar(events, { name }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...VTIMEZONE_LISBON,
+  ];
+
+  events
+    .filter((event) => event.name && event.start)
+    .forEach((event) => {
+      lines.push(...buildVEvent(event));
+    });
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Unescapes a TEXT value (RFC 5545 §3.3.11)
+ */
+export function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === "n" ? "\n" : char));
+}
+
+/**
+ * Unfolds the content lines of a calendar into { name, params, value }
+ * (RFC 5545 §3.1); lines that don't parse are skipped
+ */
+function parseContentLines(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .map((line) => {
+      const match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:])*)*):(.*)$/.exec(line);
+      if (!match) return null;
+      const params = {};
+      for (const [, key, value] of match[2].matchAll(/;([A-Za-z0-9-]+)=((?:"[^"]*"|[^";:])*)/g)) {
+        params[key.toUpperCase()] = value.replace(/"/g, "");
+      }
+      return { name: match[1].toUpperCase(), params, value: match[3] };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parses a DATE or DATE-TIME value
+ *
+ * @returns {{date: string}|{dateTime: string, utc: boolean, timeZone: string|null}|null}
+ *   `date` is "YYYY-MM-DD", `dateTime` a wall clock ("YYYY-MM-DDTHH:MM:SS")
+ *   in UTC, in `timeZone` (TZID), or floating when neither
+ */
+function parseDateValue({ value, params }) {
+  const date = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (date) {
+    return { date: `${date[1]}-${date[2]}-${date[3]}` };
+  }
+  const dateTime = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!dateTime || params.VALUE === "DATE") return null;
+  const [, year, month, day, hour, minute, second, utc] = dateTime;
+  return {
+    dateTime: `${year}-${month}-${day}T${hour}:${minute}:${second}`,
+    utc: utc === "Z",
+    timeZone: utc ? null : params.TZID || null,
+  };
+}
+
+/**
+ * Parses a DURATION value ("PT1H30M", "P1D") into milliseconds
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match || value.endsWith("T")) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+/**
+ * Reads the events (VEVENT components) of an iCalendar file
+ *
+ * Only what the sync imports is read; alarms and other nested components
+ * are skipped. Recurring events are flagged, not expanded.
+ *
+ * @param {string} text
+ * @returns {Array<{uid: string|null, summary: string|null, url: string|null,
+ *   status: string|null, start: object|null, end: object|null,
+ *   duration: number|null, lastModified: string|null, recurring: boolean}>}
+ *   `start` and `end` as returned by parseDateValue(), `duration` in
+ *   milliseconds, `lastModified` an ISO date-time
+ */
+export function parseCalendar(text) {
+  const events = [];
+  let properties = null;
+  let nested = 0;
+
+  for (const line of parseContentLines(text)) {
+    const component = line.value.trim().toUpperCase();
+    if (line.name === "BEGIN" && component === "VEVENT") {
+      properties = {};
+      nested = 0;
+    } else if (properties && line.name === "BEGIN") {
+      nested++;
+    } else if (properties && line.name === "END" && component !== "VEVENT") {
+      nested = Math.max(0, nested - 1);
+    } else if (properties && line.name === "END") {
+      events.push(properties);
+      properties = null;
+    } else if (properties && nested === 0 && !(line.name in properties)) {
+      properties[line.name] = line;
+    }
+  }
+
+  return events.map((properties) => {
+    const text = (name) => (properties[name] ? unescapeText(properties[name].value).trim() || null : null);
+    const lastModified = properties["LAST-MODIFIED"] && parseDateValue(properties["LAST-MODIFIED"]);
+    return {
+      uid: text("UID"),
+      summary: text("SUMMARY"),
+      url: properties.URL ? properties.URL.value.trim() || null : null,
+      status: properties.STATUS ? properties.STATUS.value.trim().toUpperCase() : null,
+      start: properties.DTSTART ? parseDateValue(properties.DTSTART) : null,
+      end: properties.DTEND ? parseDateValue(properties.DTEND) : null,
+      duration: properties.DURATION ? parseDuration(properties.DURATION.value.trim()) : null,
+      lastModified: lastModified?.utc ? `${lastModified.dateTime}.000Z` : null,
+      recurring: ["RRULE", "RDATE", "RECURRENCE-ID"].some((name) => name in properties),
+    };
+  });
+}
@@ -0,0 +1,210 @@
+/**
+ * Notion access for the sync scripts: pagination, throttling and retries.
+ *
+ * Wraps the client from notion-client.mjs (the real API, or the fixture
+ * stand-in offline) so every script talks to Notion the same way:
+ *
+ * - Queries and block lists follow `next_cursor` until the last page, so
+ *   large databases (or long pages) are never silently truncated at 100 results
+ * - Requests are spaced to stay under Notion's average of 3 requests/second
+ * - Rate limits (429) and server errors (5xx, timeouts, dropped connections)
+ *   are retried with exponential backoff, honouring `Retry-After`
+ * - Batch page updates run one by one and report which ones failed instead
+ *   of failing (or succeeding) as a whole
+ */
+
+import { createNotionClient, isOfflineMode } from "./notion-client.mjs";
+
+// Notion allows an average of 3 requests per second per integration
+const REQUESTS_PER_SECOND = 3;
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = [
+  "rate_limited",
+  "internal_server_error",
+  "service_unavailable",
+  "notionhq_client_request_timeout",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request is worth retrying
+ */
+export function isRetryableError(error) {
+  return RETRYABLE_STATUSES.includes(error?.status) || RETRYABLE_CODES.includes(error?.code);
+}
+
+/**
+ * Delay before the next attempt: `Retry-After` (seconds) when the API sends
+ * one, otherwise exponential backoff with jitter
+ */
+export function retryDelayMs(error, attempt) {
+  // Without the header get() returns null, and Number(null) would be 0
+  const header = error?.headers?.get?.("retry-after");
+  const retryAfter = typeof header === "string" && header.trim() !== "" ? Number(header) : NaN;
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Creates the Notion access layer
+ *
+ * @param {object} [options]
+ * @param {string} [options.auth] - Notion API key (ignored offline)
+ * @param {object} [options.client] - Client to wrap (defaults to createNotionClient())
+ * @param {number} [options.requestsPerSecond] - Throttle (unthrottled offline)
+ * @param {number} [options.maxRetries] - Retries per request
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ */
+export function createNotionApi({
+  auth,
+  client = createNotionClient({ auth }),
+  requestsPerSecond = isOfflineMode() ? Infinity : REQUESTS_PER_SECOND,
+  maxRetries = MAX_RETRIES,
+  sleep = delay,
+} = {}) {
+  const minIntervalMs = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  /**
+   * Waits for the next free request slot
+   */
+  async function throttle() {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + minIntervalMs;
+    if (wait > 0) await sleep(wait);
+  }
+
+  /**
+   * Runs one API call, throttled and retried
+   */
+  async function request(label, call) {
+    for (let attempt = 0; ; attempt++) {
+      await throttle();
+      try {
+        return await call();
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= maxRetries) {
+          if (attempt > 0) {
+            error.message = `${error.message} (${label}, gave up after ${attempt + 1} attempts)`;
+          }
+          throw error;
+        }
+        const wait = retryDelayMs(error, attempt);
+        console.warn(`   ⏳ ${label}: ${error.code || error.status || error.message}, retrying in ${Math.round(wait)}ms (${attempt + 1}/${maxRetries})`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  /**
+   * Follows `next_cursor` through a paginated list endpoint
+   */
+  async function collectResults(label, fetchPage) {
+    const results = [];
+    let startCursor;
+    let pageCount = 0;
+
+    do {
+      let response;
+      try {
+        response = await request(label, () => fetchPage(startCursor));
+      } catch (error) {
+        if (pageCount > 0) {
+          error.message = `${error.message} (${label} stopped after ${pageCount} page(s), ${results.length} results; not using partial results)`;
+        }
+        throw error;
+      }
+
+      results.push(...response.results);
+      pageCount++;
+      startCursor = response.has_more ? response.next_cursor : undefined;
+    } while (startCursor);
+
+    return results;
+  }
+
+  return {
+    request,
+
+    /**
+     * Retrieves a database (metadata and property schema)
+     */
+    retrieveDatabase(databaseId) {
+      return request("databases.retrieve", () => client.databases.retrieve({ database_id: databaseId }));
+    },
+
+    /**
+     * Queries a database and returns the results of every page
+     *
+     * @param {object} params - databases.query parameters (without start_cursor)
+     * @returns {Promise<Array<object>>}
+     */
+    queryDatabase(params) {
+      return collectResults("databases.query", (startCursor) =>
+        client.databases.query({ ...params, start_cursor: startCursor })
+      );
+    },
+
+    /**
+     * Lists the children of a block (for a page, its content), every page of
+     * results
+     *
+     * @param {string} blockId - Block or page id
+     * @returns {Promise<Array<object>>}
+     */
+    listBlockChildren(blockId) {
+      return collectResults("blocks.children.list", (startCursor) =>
+        client.blocks.children.list({ block_id: blockId, start_cursor: startCursor })
+      );
+    },
+
+    /**
+     * Retrieves a page (e.g. one related to an event)
+     */
+    retrievePage(pageId) {
+      return request("pages.retrieve", () => client.pages.retrieve({ page_id: pageId }));
+    },
+
+    /**
+     * Updates a single page
+     */
+    updatePage(params) {
+      return request("pages.update", () => client.pages.update(params));
+    },
+
+    /**
+     * Updates several pages, one request at a time
+     *
+     * @param {Array<{page_id: string, properties: object, label?: string}>} updates
+     * @returns {Promise<{succeeded: Array<object>, failed: Array<{update: object, error: Error}>}>}
+     */
+    async updatePages(updates) {
+      const succeeded = [];
+      const failed = [];
+
+      for (const update of updates) {
+        const { label, ...params } = update;
+        try {
+          await request(`pages.update ${label || update.page_id}`, () => client.pages.update(params));
+          succeeded.push(update);
+        } catch (error) {
+          failed.push({ update, error });
+        }
+      }
+
+      return { succeeded, failed };
+    },
+  };
+}
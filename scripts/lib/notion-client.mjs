@@ -0,0 +1,317 @@
+/**
+ * Notion client for the sync scripts, with an offline stand-in.
+ *
+ * By default this is the real `@notionhq/client`. When NOTION_FIXTURES points
+ * to a fixture file (see scripts/fixtures/notion/), a fake client serves the
+ * database and its pages from that file instead, so the whole sync can run
+ * without credentials or network:
+ *
+ *   NOTION_FIXTURES      Fixture file: { database, databases: [...], pages: [...],
+ *                        blocks: {...} } as returned by the API; `databases` are
+ *                        the ones the events relate to (e.g. speakers), whose
+ *                        pages are in `pages` too, and `blocks` the children of
+ *                        each page or block by id (pages without any are empty).
+ *                        Files attached to pages (e.g. covers) are read from the
+ *                        files/ directory next to it, see readFixtureFile()
+ *   NOTION_RECORD_FILE   Optional JSON file where `pages.update` calls are recorded;
+ *                        recorded updates are replayed on startup, so several
+ *                        scripts (check → fetch → check) see the same state
+ *
+ * The fixture file can also make the fake API behave like the real one under
+ * load, to exercise pagination and retries (see scripts/lib/notion-api.mjs):
+ *
+ *   maxPageSize          Results per query page (the API's is 100)
+ *   faults               Errors to throw before answering, e.g.
+ *                        { "call": "pages.update", "status": 429, "retryAfter": 0, "times": 1 }
+ *
+ * The fake client only implements the calls and filters the scripts use and
+ * throws on anything else, so fixtures can't silently disagree with the API.
+ */
+
+import { Client } from "@notionhq/client";
+import { readFileSync, writeFileSync, existsSync } from "fs";
+import { readFile } from "fs/promises";
+import { dirname, join, basename } from "path";
+import { syncNow } from "./event-dates.mjs";
+
+/**
+ * Whether the scripts run against fixtures instead of the Notion API
+ */
+export function isOfflineMode() {
+  return Boolean(process.env.NOTION_FIXTURES);
+}
+
+/**
+ * Creates the Notion client (the fixture stand-in in offline mode)
+ *
+ * @param {object} [options]
+ * @param {string} [options.auth] - Notion API key (ignored offline)
+ * @param {string} [options.fixtures] - Fixture file (defaults to NOTION_FIXTURES)
+ * @param {string} [options.recordFile] - Update log (defaults to NOTION_RECORD_FILE)
+ */
+export function createNotionClient({
+  auth,
+  fixtures = process.env.NOTION_FIXTURES,
+  recordFile = process.env.NOTION_RECORD_FILE,
+} = {}) {
+  if (fixtures) {
+    return createFixtureClient({ fixtures, recordFile });
+  }
+  return new Client({ auth });
+}
+
+/**
+ * Offline stand-in for downloading a file attached to a page: reads the
+ * fixture file named like the last segment of the URL's path
+ *
+ * @param {string} url
+ * @param {{maxBytes: number}} limits
+ * @returns {Promise<Buffer>}
+ */
+export async function readFixtureFile(url, { maxBytes } = {}, fixtures = process.env.NOTION_FIXTURES) {
+  const name = basename(decodeURIComponent(new URL(url).pathname));
+  const data = await readFile(join(dirname(fixtures), "files", name)).catch((error) => {
+    throw new Error(error.code === "ENOENT" ? `Fixture file not found: files/${name} (HTTP 404)` : error.message);
+  });
+  if (maxBytes !== undefined && data.length > maxBytes) {
+    throw new Error(`image is ${data.length} bytes (limit ${maxBytes})`);
+  }
+  return data;
+}
+
+/**
+ * Error shaped like the API's (`code` is what the scripts check)
+ */
+function notionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Error shaped like an API error response (`status` and `headers` included)
+ */
+function faultError({ call, status = 500, code, retryAfter }) {
+  const error = notionError(
+    code || { 429: "rate_limited", 503: "service_unavailable" }[status] || "internal_server_error",
+    `Fixture fault on ${call} (HTTP ${status})`
+  );
+  error.status = status;
+  error.headers = new Headers(retryAfter === undefined ? {} : { "Retry-After": String(retryAfter) });
+  return error;
+}
+
+/**
+ * Reads the value a filter condition compares against
+ */
+function filterValue(property, type) {
+  if (!property) return null;
+  switch (type) {
+    case "checkbox":
+      return property.checkbox ?? false;
+    case "status":
+      return property.status?.name ?? null;
+    case "select":
+      return property.select?.name ?? null;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Evaluates a database query filter against a page
+ */
+function matchesFilter(page, filter) {
+  if (!filter) return true;
+  if (filter.and) return filter.and.every((condition) => matchesFilter(page, condition));
+  if (filter.or) return filter.or.some((condition) => matchesFilter(page, condition));
+
+  // Timestamp filters, e.g. { timestamp: "last_edited_time", last_edited_time: { on_or_after } }
+  if (filter.timestamp) {
+    const value = Date.parse(page[filter.timestamp]);
+    const condition = filter[filter.timestamp] || {};
+    if ("on_or_after" in condition) return value >= Date.parse(condition.on_or_after);
+    if ("after" in condition) return value > Date.parse(condition.after);
+    throw new Error(`Fixture Notion client: unsupported filter ${JSON.stringify(filter)}`);
+  }
+
+  for (const type of ["checkbox", "status", "select"]) {
+    const condition = filter[type];
+    if (!condition) continue;
+
+    const value = filterValue(page.properties[filter.property], type);
+    if ("equals" in condition) return value === condition.equals;
+    if ("does_not_equal" in condition) return value !== condition.does_not_equal;
+  }
+
+  throw new Error(`Fixture Notion client: unsupported filter ${JSON.stringify(filter)}`);
+}
+
+/**
+ * Sort key of a page for a database query sort
+ */
+function sortValue(page, sort) {
+  if (sort.timestamp) return page[sort.timestamp];
+  const property = page.properties[sort.property];
+  if (property?.type === "date") return property.date ? Date.parse(property.date.start) : null;
+  if (property?.type === "title") return property.title.map((text) => text.plain_text).join("");
+  throw new Error(`Fixture Notion client: unsupported sort ${JSON.stringify(sort)}`);
+}
+
+/**
+ * Sorts pages like the API (empty values last)
+ */
+function sortPages(pages, sorts = []) {
+  return [...pages].sort((a, b) => {
+    for (const sort of sorts) {
+      const left = sortValue(a, sort);
+      const right = sortValue(b, sort);
+      if (left === right) continue;
+      if (left === null) return 1;
+      if (right === null) return -1;
+      const order = left < right ? -1 : 1;
+      return sort.direction === "descending" ? -order : order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Applies a `pages.update` properties payload to a page
+ */
+function applyUpdate(page, properties, editedTime) {
+  Object.entries(properties).forEach(([key, value]) => {
+    const existing = page.properties[key] || {};
+    const type = existing.type || Object.keys(value)[0];
+    page.properties[key] = { ...existing, type, ...value };
+  });
+  page.last_edited_time = editedTime;
+}
+
+/**
+ * Notion ids with or without dashes, for comparisons
+ */
+function normalizeId(id) {
+  return String(id || "").replace(/-/g, "").toLowerCase();
+}
+
+/**
+ * Creates the fixture-backed stand-in for the Notion client
+ */
+function createFixtureClient({ fixtures, recordFile }) {
+  const data = JSON.parse(readFileSync(fixtures, "utf-8"));
+  const database = data.database;
+  const databases = [database, ...(data.databases || [])];
+  const pages = data.pages.map((page) => structuredClone(page));
+  const blocks = data.blocks || {};
+  const maxPageSize = data.maxPageSize || 100;
+  const faults = (data.faults || []).map((fault) => ({ ...fault, remaining: fault.times ?? 1 }));
+  const updates = recordFile && existsSync(recordFile)
+    ? JSON.parse(readFileSync(recordFile, "utf-8"))
+    : [];
+
+  const findDatabase = (databaseId) => {
+    const found = databases.find((candidate) => normalizeId(candidate.id) === normalizeId(databaseId));
+    if (!found) {
+      throw notionError("object_not_found", `Could not find database with ID: ${databaseId}.`);
+    }
+    return found;
+  };
+
+  const findPage = (pageId) => {
+    const page = pages.find((candidate) => candidate.id === pageId);
+    if (!page) {
+      throw notionError("object_not_found", `Could not find page with ID: ${pageId}.`);
+    }
+    return page;
+  };
+
+  // Throws the next pending fault for a call, if any
+  const injectFault = (call) => {
+    const fault = faults.find((candidate) => candidate.call === call && candidate.remaining > 0);
+    if (fault) {
+      fault.remaining--;
+      throw faultError(fault);
+    }
+  };
+
+  // One page of results, like the API's list endpoints
+  const paginate = (items, startCursor, pageSize = 100) => {
+    const start = startCursor ? Number(startCursor) : 0;
+    const end = start + Math.min(pageSize, maxPageSize);
+    const hasMore = end < items.length;
+    return {
+      object: "list",
+      results: structuredClone(items.slice(start, end)),
+      has_more: hasMore,
+      next_cursor: hasMore ? String(end) : null,
+    };
+  };
+
+  // Replay updates recorded by earlier runs
+  updates.forEach((update) => applyUpdate(findPage(update.page_id), update.properties, update.at));
+
+  return {
+    databases: {
+      async retrieve({ database_id: databaseId }) {
+        injectFault("databases.retrieve");
+        return structuredClone(findDatabase(databaseId));
+      },
+
+      async query({ database_id: databaseId, filter, sorts, start_cursor: startCursor, page_size: pageSize = 100 } = {}) {
+        injectFault("databases.query");
+        const { id } = findDatabase(databaseId);
+        const matching = sortPages(
+          pages.filter((page) =>
+            normalizeId(page.parent?.database_id) === normalizeId(id) && !page.archived && matchesFilter(page, filter)
+          ),
+          sorts
+        );
+        return {
+          ...paginate(matching, startCursor, pageSize),
+          type: "page_or_database",
+          page_or_database: {},
+        };
+      },
+    },
+
+    blocks: {
+      children: {
+        async list({ block_id: blockId, start_cursor: startCursor, page_size: pageSize } = {}) {
+          injectFault("blocks.children.list");
+          if (!blocks[blockId] && !pages.some((page) => page.id === blockId)) {
+            throw notionError("object_not_found", `Could not find block with ID: ${blockId}.`);
+          }
+          return { ...paginate(blocks[blockId] || [], startCursor, pageSize), type: "block", block: {} };
+        },
+      },
+    },
+
+    pages: {
+      async retrieve({ page_id: pageId }) {
+        injectFault("pages.retrieve");
+        return structuredClone(findPage(pageId));
+      },
+
+      async update({ page_id: pageId, properties = {} }) {
+        injectFault("pages.update");
+        const page = findPage(pageId);
+        const at = syncNow().toISOString();
+        applyUpdate(page, properties, at);
+
+        updates.push({ page_id: pageId, properties, at });
+        if (recordFile) {
+          writeFileSync(recordFile, JSON.stringify(updates, null, 2), "utf-8");
+        }
+        return structuredClone(page);
+      },
+    },
+
+    /**
+     * Updates received so far (including replayed ones)
+     */
+    recordedUpdates() {
+      return structuredClone(updates);
+    },
+  };
+}
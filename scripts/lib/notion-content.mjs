@@ -0,0 +1,292 @@
+/**
+ * Event descriptions from the content of Notion pages.
+ *
+ * Only the parts of a page under a language heading are published: a
+ * heading (any level) reading "PT" / "Português" or "EN" / "English" starts
+ * a section, which runs until the next heading of the same or a higher
+ * level. Anything else on the page (internal notes, checklists, the venue's
+ * door code) stays private, like the properties left out of
+ * scripts/config/notion-properties.json:
+ *
+ *   Notas internas            ← not published
+ *   ## 🇵🇹 Português
+ *   Texto, listas, imagens…   ← description.pt
+ *   ### Agenda                ← sub-heading, part of the section
+ *   ## English
+ *   Text, lists, images…      ← description.en
+ *   ## Checklist              ← ends the section, not published
+ *
+ * Paragraphs, headings, bulleted/numbered lists (nested too), links and
+ * images with a public URL are converted to HTML and Markdown; other blocks
+ * are left out. The HTML is built from the block text, escaped, with a
+ * fixed set of tags and only http(s)/mailto links, so the site can insert it
+ * as is.
+ */
+
+export const DESCRIPTION_LANGUAGES = ["pt", "en"];
+
+/**
+ * Heading texts (lower case, without accents, emoji or punctuation) that
+ * start a language section
+ */
+const LANGUAGE_HEADINGS = {
+  pt: ["pt", "portugues", "portuguese"],
+  en: ["en", "english", "ingles"],
+};
+
+const HEADING_TYPES = { heading_1: 1, heading_2: 2, heading_3: 3 };
+const LIST_TYPES = { bulleted_list_item: "ul", numbered_list_item: "ol" };
+
+// Nested list levels read from Notion (each level is one more request)
+const MAX_DEPTH = 3;
+
+const LINK_PROTOCOLS = ["http:", "https:", "mailto:"];
+const IMAGE_PROTOCOLS = ["http:", "https:"];
+// Links to Notion pages only work for the organizers
+const NOTION_HOSTS = /(^|\.)notion\.(so|site)$/i;
+
+/**
+ * Reads a page's blocks, with the children of list items
+ *
+ * @param {object} notion - From createNotionApi()
+ * @param {string} pageId
+ * @returns {Promise<Array<object>>} Blocks, each with a `children` array
+ */
+export async function fetchPageBlocks(notion, pageId, depth = 0) {
+  const blocks = await notion.listBlockChildren(pageId);
+  for (const block of blocks) {
+    block.children = block.has_children && LIST_TYPES[block.type] && depth < MAX_DEPTH
+      ? await fetchPageBlocks(notion, block.id, depth + 1)
+      : [];
+  }
+  return blocks;
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/([\\`*_~[\]<>#|])/g, "\\$1");
+}
+
+/**
+ * Parses a URL, keeping it only with an allowed protocol and outside Notion
+ */
+function safeUrl(url, protocols) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!protocols.includes(parsed.protocol) || NOTION_HOSTS.test(parsed.hostname)) {
+    return null;
+  }
+  return parsed.href;
+}
+
+/**
+ * Keeps leading/trailing spaces outside Markdown emphasis ("** bold**" isn't bold)
+ */
+function wrapMarkdown(text, marker) {
+  const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+}
+
+/**
+ * Plain text of a rich text array
+ */
+export function plainText(richText = []) {
+  return richText.map((item) => item.plain_text ?? item.text?.content ?? "").join("");
+}
+
+/**
+ * Converts a rich text array to HTML and Markdown
+ *
+ * @returns {{html: string, markdown: string}}
+ */
+function renderRichText(richText = []) {
+  let html = "";
+  let markdown = "";
+
+  richText.forEach((item) => {
+    const text = item.plain_text ?? item.text?.content ?? "";
+    if (!text) return;
+    const { bold, italic, strikethrough, code } = item.annotations || {};
+    const href = safeUrl(item.href ?? item.text?.link?.url, LINK_PROTOCOLS);
+
+    let itemHtml = escapeHTML(text).replace(/\n/g, "<br>");
+    if (code) itemHtml = `<code>${itemHtml}</code>`;
+    if (bold) itemHtml = `<strong>${itemHtml}</strong>`;
+    if (italic) itemHtml = `<em>${itemHtml}</em>`;
+    if (strikethrough) itemHtml = `<s>${itemHtml}</s>`;
+    if (href) itemHtml = `<a href="${escapeHTML(href)}" rel="noopener">${itemHtml}</a>`;
+
+    let itemMarkdown = code
+      ? (text.includes("`") ? `\`\` ${text} \`\`` : `\`${text}\``)
+      : escapeMarkdown(text).replace(/\n/g, "  \n");
+    if (bold) itemMarkdown = wrapMarkdown(itemMarkdown, "**");
+    if (italic) itemMarkdown = wrapMarkdown(itemMarkdown, "_");
+    if (strikethrough) itemMarkdown = wrapMarkdown(itemMarkdown, "~~");
+    if (href) itemMarkdown = `[${itemMarkdown}](${href.replace(/[()\s]/g, encodeURIComponent)})`;
+
+    html += itemHtml;
+    markdown += itemMarkdown;
+  });
+
+  return { html, markdown };
+}
+
+/**
+ * Normalizes a heading for matching against LANGUAGE_HEADINGS
+ */
+function headingKey(text) {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z]/g, "");
+}
+
+/**
+ * Language a heading block starts a section for, if any
+ */
+function sectionLanguage(block) {
+  const key = headingKey(plainText(block[block.type]?.rich_text));
+  return DESCRIPTION_LANGUAGES.find((lang) => LANGUAGE_HEADINGS[lang].includes(key)) || null;
+}
+
+/**
+ * Splits a page's blocks into its language sections
+ *
+ * @returns {{pt: Array<object>, en: Array<object>}} Blocks of each language,
+ *   with the level of the heading that started them
+ */
+function splitSections(blocks) {
+  const sections = Object.fromEntries(DESCRIPTION_LANGUAGES.map((lang) => [lang, []]));
+  let current = null;
+
+  blocks.forEach((block) => {
+    const level = HEADING_TYPES[block.type];
+    if (level && current && level <= current.level) {
+      current = null;
+    }
+    const lang = level ? sectionLanguage(block) : null;
+    if (lang) {
+      current = { lang, level };
+      return;
+    }
+    if (current) {
+      sections[current.lang].push({ block, sectionLevel: current.level });
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Converts blocks to HTML and Markdown
+ *
+ * @param {Array<{block: object, sectionLevel: number}>} entries
+ * @param {object} report - Collects the blocks left out
+ * @returns {{html: string[], markdown: string[]}}
+ */
+function renderBlocks(entries, report, indent = "") {
+  const html = [];
+  const markdown = [];
+  let list = null;
+
+  const closeList = () => {
+    if (!list) return;
+    html.push(`<${list.tag}>${list.items.join("")}</${list.tag}>`);
+    markdown.push(list.lines.join("\n"));
+    list = null;
+  };
+
+  entries.forEach(({ block, sectionLevel }) => {
+    const content = block[block.type] || {};
+
+    if (LIST_TYPES[block.type]) {
+      const tag = LIST_TYPES[block.type];
+      if (list?.tag !== tag) {
+        closeList();
+        list = { tag, items: [], lines: [] };
+      }
+      const text = renderRichText(content.rich_text);
+      const children = renderBlocks(
+        (block.children || []).map((child) => ({ block: child, sectionLevel })),
+        report,
+        `${indent}   `
+      );
+      const marker = tag === "ol" ? `${list.items.length + 1}.` : "-";
+      list.items.push(`<li>${text.html}${children.html.join("")}</li>`);
+      list.lines.push([`${indent}${marker} ${text.markdown}`, ...children.markdown].join("\n"));
+      return;
+    }
+    closeList();
+
+    if (block.type === "paragraph") {
+      const text = renderRichText(content.rich_text);
+      if (text.html) {
+        html.push(`<p>${text.html}</p>`);
+        markdown.push(`${indent}${text.markdown}`);
+      }
+    } else if (HEADING_TYPES[block.type]) {
+      // The section heading is the page's language marker: sub-headings
+      // start at h3 (the event's name is the h1 of detail pages)
+      const level = Math.min(4, 2 + HEADING_TYPES[block.type] - sectionLevel);
+      const text = renderRichText(content.rich_text);
+      if (text.html) {
+        html.push(`<h${level}>${text.html}</h${level}>`);
+        markdown.push(`${"#".repeat(level)} ${text.markdown}`);
+      }
+    } else if (block.type === "image") {
+      // Files uploaded to Notion have signed URLs that expire after an hour
+      const url = content.type === "external" ? safeUrl(content.external?.url, IMAGE_PROTOCOLS) : null;
+      if (!url) {
+        report.skippedImages++;
+        return;
+      }
+      const caption = renderRichText(content.caption);
+      const alt = plainText(content.caption);
+      html.push(
+        `<figure><img src="${escapeHTML(url)}" alt="${escapeHTML(alt)}" loading="lazy">` +
+        `${caption.html ? `<figcaption>${caption.html}</figcaption>` : ""}</figure>`
+      );
+      markdown.push(`${indent}![${escapeMarkdown(alt)}](${url.replace(/[()\s]/g, encodeURIComponent)})`);
+    } else {
+      report.unsupported.add(block.type);
+    }
+  });
+  closeList();
+
+  return { html, markdown };
+}
+
+/**
+ * Builds an event's description from its page blocks
+ *
+ * @param {Array<object>} blocks - From fetchPageBlocks()
+ * @returns {{description: {pt: object|null, en: object|null}|null, unsupported: string[], skippedImages: number}}
+ *   Each language is `{html, markdown}`, or null without a section; the
+ *   description is null when the page has neither
+ */
+export function renderDescription(blocks) {
+  const sections = splitSections(blocks);
+  const report = { unsupported: new Set(), skippedImages: 0 };
+
+  const description = Object.fromEntries(
+    DESCRIPTION_LANGUAGES.map((lang) => {
+      const { html, markdown } = renderBlocks(sections[lang], report);
+      return [lang, html.length > 0 ? { html: html.join("\n"), markdown: markdown.join("\n\n") } : null];
+    })
+  );
+
+  return {
+    description: DESCRIPTION_LANGUAGES.some((lang) => description[lang]) ? description : null,
+    unsupported: [...report.unsupported].sort(),
+    skippedImages: report.skippedImages,
+  };
+}
@@ -0,0 +1,331 @@
+/**
+ * Which Notion properties get published, and reading them from pages.
+ *
+ * scripts/config/notion-properties.json is an allowlist: each entry maps a
+ * Notion property to an output field, with the property types it may have and
+ * whether it is required. The sync reads only these properties, so a new
+ * column in Notion (organizer phone, internal notes, the venue) never reaches
+ * the public site unless it is added here, along with a field in
+ * public/events.schema.json.
+ *
+ * Required properties must exist in the database with one of the expected
+ * types, or the sync fails; events with an empty required value are skipped.
+ *
+ * Related pages the site shows (the speakers of an event, through a relation
+ * property published as `speakers`) have an allowlist of their own,
+ * `speakerProperties`, checked against the related database the same way.
+ *
+ * The venue (the Places relation, published as `location`) is secret unless
+ * the event says otherwise: each entry of `placeProperties` has the
+ * visibility it needs, "neighbourhood" or "full", and properties above an
+ * event's "Location Visibility" are never read from the place.
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { normalizeNotionDate } from "./event-dates.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const NOTION_PROPERTIES_CONFIG_PATH = join(__dirname, "..", "config", "notion-properties.json");
+
+/**
+ * Output fields the fetch script knows how to publish
+ */
+export const PUBLISHED_FIELDS = [
+  "name",
+  "date",
+  "status",
+  "previousDate",
+  "type",
+  "languages",
+  "link",
+  "speakers",
+  "cover",
+  "location",
+  "locationVisibility",
+];
+
+/**
+ * Output fields of a speaker (a page related through `speakers`)
+ */
+export const SPEAKER_FIELDS = ["name", "talk", "photo", "link"];
+
+/**
+ * Output fields of a place (a page related through `location`)
+ */
+export const PLACE_FIELDS = ["name", "address", "neighbourhood", "city", "mapLink"];
+
+/**
+ * How much of the venue an event publishes, from least to most
+ */
+export const LOCATION_VISIBILITIES = ["hidden", "neighbourhood", "full"];
+
+/**
+ * Checks one list of allowlist entries
+ */
+function parseEntries(entries, fields, where) {
+  if (!Array.isArray(entries)) {
+    throw new Error(`${where}: expected an array`);
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const at = `${where}[${index}]`;
+    if (!entry.notion || typeof entry.notion !== "string") {
+      throw new Error(`${at} needs a "notion" property name`);
+    }
+    if (!fields.includes(entry.output)) {
+      throw new Error(`${at} ("${entry.notion}") has unknown output "${entry.output}" (expected one of ${fields.join(", ")})`);
+    }
+    if (seen.has(entry.output)) {
+      throw new Error(`${at} ("${entry.notion}") maps to "${entry.output}" more than once`);
+    }
+    seen.add(entry.output);
+
+    const types = Array.isArray(entry.type) ? entry.type : [entry.type];
+    if (!types.length || types.some((type) => typeof type !== "string")) {
+      throw new Error(`${at} ("${entry.notion}") needs a "type" (a Notion property type or a list of them)`);
+    }
+
+    return { notion: entry.notion, output: entry.output, types, required: entry.required === true };
+  });
+}
+
+/**
+ * Loads and checks the allowlist
+ *
+ * @param {string} [path]
+ * @returns {Promise<Array<{notion: string, output: string, types: string[], required: boolean}>>}
+ */
+export async function loadPublishedProperties(path = NOTION_PROPERTIES_CONFIG_PATH) {
+  const config = JSON.parse(await readFile(path, "utf-8"));
+  const published = parseEntries(config.properties, PUBLISHED_FIELDS, `${path}: properties`);
+
+  for (const output of ["speakers", "location"]) {
+    const entry = published.find((candidate) => candidate.output === output);
+    if (entry && entry.types.some((type) => type !== "relation")) {
+      throw new Error(`${path}: "${entry.notion}" (${output}) must be a relation`);
+    }
+  }
+  return published;
+}
+
+/**
+ * Loads and checks the allowlist of speaker properties
+ *
+ * @param {string} [path]
+ * @returns {Promise<Array<{notion: string, output: string, types: string[], required: boolean}>>}
+ */
+export async function loadSpeakerProperties(path = NOTION_PROPERTIES_CONFIG_PATH) {
+  const config = JSON.parse(await readFile(path, "utf-8"));
+  return parseEntries(config.speakerProperties || [], SPEAKER_FIELDS, `${path}: speakerProperties`);
+}
+
+/**
+ * Loads and checks the allowlist of place properties
+ *
+ * @param {string} [path]
+ * @returns {Promise<Array<{notion: string, output: string, types: string[], required: boolean, visibility: string}>>}
+ *   `visibility` is the lowest "Location Visibility" that publishes the property
+ */
+export async function loadPlaceProperties(path = NOTION_PROPERTIES_CONFIG_PATH) {
+  const config = JSON.parse(await readFile(path, "utf-8"));
+  const where = `${path}: placeProperties`;
+  const entries = parseEntries(config.placeProperties || [], PLACE_FIELDS, where);
+
+  return entries.map((entry, index) => {
+    const visibility = config.placeProperties[index].visibility;
+    if (!["neighbourhood", "full"].includes(visibility)) {
+      throw new Error(`${where}[${index}] ("${entry.notion}") needs a "visibility": "neighbourhood" or "full"`);
+    }
+    return { ...entry, visibility };
+  });
+}
+
+/**
+ * Normalizes an event's "Location Visibility" ("Neighbourhood only" →
+ * "neighbourhood"); empty is hidden
+ *
+ * @returns {string|null} One of LOCATION_VISIBILITIES, null for an unknown value
+ */
+export function normalizeLocationVisibility(value) {
+  if (!value) return "hidden";
+  const key = String(value).trim().toLowerCase().replace(/^neighborhood/, "neighbourhood");
+  return LOCATION_VISIBILITIES.find((visibility) => key.startsWith(visibility)) || null;
+}
+
+/**
+ * Place properties an event with the given visibility may publish
+ *
+ * @param {Array<object>} placeProperties - From loadPlaceProperties()
+ * @param {string} visibility - From normalizeLocationVisibility()
+ */
+export function placePropertiesFor(placeProperties, visibility) {
+  const level = LOCATION_VISIBILITIES.indexOf(visibility);
+  return placeProperties.filter((entry) => level > 0 && LOCATION_VISIBILITIES.indexOf(entry.visibility) <= level);
+}
+
+/**
+ * Compares the allowlist with the database's properties
+ *
+ * @param {Array<object>} published - From loadPublishedProperties()
+ * @param {object} databaseProperties - `properties` of databases.retrieve()
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function checkDatabaseProperties(published, databaseProperties = {}) {
+  const errors = [];
+  const warnings = [];
+
+  published.forEach(({ notion, types, required }) => {
+    const property = databaseProperties[notion];
+    if (!property) {
+      (required ? errors : warnings).push(`Property "${notion}" is not in the Notion database`);
+    } else if (!types.includes(property.type)) {
+      errors.push(`Property "${notion}" is a ${property.type} in Notion, expected ${types.join(" or ")}`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Reads the allowlisted properties of a page
+ *
+ * Dates are normalized ranges (see normalizeNotionDate); empty values are
+ * null. Throws when a property has an unexpected type.
+ *
+ * @returns {{fields: object, missing: string[]}} Fields by output name, and
+ *   the required properties that are empty on this page
+ */
+export function readPublishedFields(page, published) {
+  const fields = {};
+  const missing = [];
+
+  published.forEach(({ notion, output, types, required }) => {
+    const property = page.properties[notion];
+    if (property && !types.includes(property.type)) {
+      throw new Error(`Property "${notion}" of page ${page.id} is a ${property.type}, expected ${types.join(" or ")}`);
+    }
+
+    let value = null;
+    if (property?.type === "date") {
+      value = normalizeNotionDate(property.date);
+    } else if (property) {
+      value = extractPropertyValue(property);
+    }
+
+    const empty = value === null || value === undefined || value === "" || (Array.isArray(value) && !value.length);
+    if (empty && required) {
+      missing.push(notion);
+    }
+    fields[output] = empty ? null : value;
+  });
+
+  return { fields, missing };
+}
+
+/**
+ * Extracts a value from any Notion property type
+ */
+export function extractPropertyValue(property) {
+  if (!property || !property.type) {
+    return null;
+  }
+
+  switch (property.type) {
+    case "title":
+      return property.title?.map((text) => text.plain_text).join("") || null;
+    
+    case "rich_text":
+      return property.rich_text?.map((text) => text.plain_text).join("") || null;
+    
+    case "number":
+      return property.number;
+    
+    case "select":
+      return property.select?.name || null;
+    
+    case "multi_select":
+      return property.multi_select?.map((item) => item.name) || [];
+    
+    case "date":
+      return property.date?.start || null;
+    
+    case "checkbox":
+      return property.checkbox || false;
+    
+    case "url":
+      return property.url || null;
+    
+    case "email":
+      return property.email || null;
+    
+    case "phone_number":
+      return property.phone_number || null;
+    
+    case "status":
+      return property.status?.name || null;
+    
+    case "relation":
+      // Relations return array of page IDs
+      return property.relation?.map((rel) => rel.id) || [];
+    
+    case "rollup":
+      // Rollups can be various types, try to extract the value
+      if (property.rollup?.array) {
+        return property.rollup.array.map((item) => {
+          if (item.type === "title") {
+            return item.title?.map((text) => text.plain_text).join("") || null;
+          }
+          return extractPropertyValue(item);
+        }).filter((v) => v !== null);
+      }
+      return property.rollup?.number || null;
+    
+    case "formula":
+      // Formulas can be various types
+      if (property.formula?.type === "string") {
+        return property.formula.string || null;
+      }
+      if (property.formula?.type === "number") {
+        return property.formula.number;
+      }
+      if (property.formula?.type === "boolean") {
+        return property.formula.boolean;
+      }
+      if (property.formula?.type === "date") {
+        return property.formula.date?.start || null;
+      }
+      return null;
+    
+    case "created_time":
+      return property.created_time || null;
+    
+    case "last_edited_time":
+      return property.last_edited_time || null;
+    
+    case "created_by":
+      return property.created_by?.id || null;
+    
+    case "last_edited_by":
+      return property.last_edited_by?.id || null;
+    
+    case "people":
+      return property.people?.map((person) => person.id) || [];
+    
+    case "files":
+      // "file" URLs (uploaded to Notion) expire after an hour, "external" ones don't
+      return property.files?.map((file) => ({
+        name: file.name,
+        type: file.type,
+        url: file.file?.url || file.external?.url || null,
+      })) || [];
+    
+    default:
+      // For unknown types, try to return the raw value or null
+      console.warn(`⚠️  Unknown property type: ${property.type}`);
+      return null;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Pages related to events through Notion relation properties (e.g. the
+ * speakers of an event), for the fetch script.
+ *
+ * Relation properties only hold page ids, so each related page is retrieved
+ * on its own; the same page is often related to several events (a speaker
+ * who comes back), so it is read once per sync. Their databases have to be
+ * shared with the integration too.
+ */
+
+/**
+ * Ids of the pages in a relation property
+ *
+ * Notion includes at most 25 related pages in a page object; `truncated`
+ * says when there are more.
+ *
+ * @returns {{ids: string[], truncated: boolean}}
+ */
+export function relationIds(property) {
+  if (property?.type !== "relation") {
+    return { ids: [], truncated: false };
+  }
+  return {
+    ids: (property.relation || []).map((related) => related.id),
+    truncated: property.has_more === true,
+  };
+}
+
+/**
+ * Database a relation property of a database points to
+ *
+ * @param {object} databaseProperties - `properties` of databases.retrieve()
+ * @param {string} name - Relation property name
+ * @returns {string|null}
+ */
+export function relatedDatabaseId(databaseProperties, name) {
+  const property = databaseProperties?.[name];
+  return property?.type === "relation" ? property.relation?.database_id || null : null;
+}
+
+/**
+ * Creates a per-sync cache of related pages
+ *
+ * @param {object} notion - From createNotionApi()
+ */
+export function createRelatedPages(notion) {
+  const pages = new Map();
+
+  return {
+    /**
+     * Retrieves a related page, or null when it was deleted or isn't
+     * shared with the integration
+     *
+     * @param {string} pageId
+     * @returns {Promise<object|null>}
+     */
+    get(pageId) {
+      if (!pages.has(pageId)) {
+        pages.set(
+          pageId,
+          notion.retrievePage(pageId).then(
+            (page) => (page.archived || page.in_trash ? null : page),
+            (error) => {
+              if (error.code === "object_not_found") return null;
+              pages.delete(pageId);
+              throw error;
+            }
+          )
+        );
+      }
+      return pages.get(pageId);
+    },
+
+    /**
+     * Number of pages read so far
+     */
+    get size() {
+      return pages.size;
+    },
+  };
+}
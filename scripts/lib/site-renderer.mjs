@@ -0,0 +1,43 @@
+/**
+ * Loads the browser rendering helpers from assets/js/events.js into Node.
+ *
+ * events.js is a classic browser script; when evaluated without a `document`
+ * it only registers its pure rendering functions on `CTAEvents` and stops, so
+ * build scripts can produce exactly the markup the browser would.
+ */
+
+import { readFile } from "fs/promises";
+import { join } from "path";
+import vm from "vm";
+import { frozenNow } from "./event-dates.mjs";
+
+/**
+ * Evaluates events.js in an isolated context and returns its CTAEvents API
+ *
+ * @param {string} rootDir - Repository root
+ */
+export async function loadSiteRenderer(rootDir) {
+  const scriptPath = join(rootDir, "assets", "js", "events.js");
+  const source = await readFile(scriptPath, "utf-8");
+
+  const context = vm.createContext({ console, URLSearchParams });
+
+  // events.js derives event status from the current time; pin it when SYNC_NOW is set
+  const now = frozenNow();
+  if (now) {
+    vm.runInContext(
+      `Date = class extends Date {
+        constructor(...args) { super(...(args.length ? args : [${now.getTime()}])); }
+        static now() { return ${now.getTime()}; }
+      };`,
+      context
+    );
+  }
+
+  vm.runInContext(source, context, { filename: scriptPath });
+
+  if (!context.CTAEvents) {
+    throw new Error(`${scriptPath} did not register CTAEvents`);
+  }
+  return context.CTAEvents;
+}
@@ -0,0 +1,183 @@
+/**
+ * Guardrails and snapshots around writing public/events.json.
+ *
+ * A wrong database id, a renamed "Visible on site" filter or an empty
+ * response from Notion would otherwise replace the whole archive with an
+ * empty or tiny file. Before writing, the new events are compared with the
+ * current ones and the sync refuses (unless forced) when it would:
+ *
+ * - publish no events at all while there were some
+ * - remove more than `maxRemovedPercent` of the events (once there are at
+ *   least `minEventsForPercentCheck`)
+ * - remove every past event
+ *
+ * The file itself is replaced atomically (write, then rename), and the
+ * previous version is kept as a timestamped snapshot; `npm run restore-events`
+ * puts one back. The archive and sync state go with it, so a restore doesn't
+ * get undone by the next sync. Snapshots are local and gitignored (they
+ * would publish old copies of every event with the site); the sync workflow
+ * is rolled back through git history instead. Settings live in
+ * scripts/config/sync-safety.json.
+ */
+
+import { readFile, writeFile, rename, mkdir, readdir, copyFile, rm } from "fs/promises";
+import { dirname, join, basename } from "path";
+import { fileURLToPath } from "url";
+import { lifecycleStatus, syncNow } from "./event-dates.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const SYNC_SAFETY_CONFIG_PATH = join(__dirname, "..", "config", "sync-safety.json");
+
+const SNAPSHOT_PATTERN = /^events-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+/**
+ * Loads the guardrail and snapshot settings
+ */
+export async function loadSyncSafetyConfig(path = SYNC_SAFETY_CONFIG_PATH) {
+  const config = JSON.parse(await readFile(path, "utf-8"));
+  return {
+    allowEmpty: config.allowEmpty === true,
+    maxRemovedPercent: config.maxRemovedPercent ?? 25,
+    minEventsForPercentCheck: config.minEventsForPercentCheck ?? 0,
+    allowRemovingAllPast: config.allowRemovingAllPast === true,
+    snapshots: {
+      dir: config.snapshots?.dir || ".snapshots/events",
+      keep: config.snapshots?.keep ?? 20,
+    },
+  };
+}
+
+/**
+ * Checks a change of events against the guardrails
+ *
+ * @param {Array<object>} previous - Current events
+ * @param {Array<object>} next - Events about to be written
+ * @param {{removed: Array<object>}} diff - From diffEvents(previous, next)
+ * @param {object} config - From loadSyncSafetyConfig()
+ * @returns {string[]} Reasons to refuse the write (empty when it's safe)
+ */
+export function checkGuardrails(previous, next, diff, config, now = syncNow()) {
+  const problems = [];
+  if (previous.length === 0) return problems;
+
+  if (next.length === 0 && !config.allowEmpty) {
+    problems.push(`No events to publish (there were ${previous.length})`);
+  }
+
+  const removedPercent = (diff.removed.length / previous.length) * 100;
+  if (previous.length >= config.minEventsForPercentCheck && removedPercent > config.maxRemovedPercent) {
+    problems.push(
+      `${diff.removed.length} of ${previous.length} events would be removed (${Math.round(removedPercent)}%, limit ${config.maxRemovedPercent}%)`
+    );
+  }
+
+  const isPast = (event) => lifecycleStatus(event, now) === "Past";
+  const previousPast = previous.filter(isPast).length;
+  if (previousPast > 0 && !next.some(isPast) && !config.allowRemovingAllPast) {
+    problems.push(`All ${previousPast} past events would be removed from the archive`);
+  }
+
+  return problems;
+}
+
+/**
+ * Writes a file atomically: a temporary file next to it, then a rename, so
+ * readers never see a half-written file
+ */
+export async function writeFileAtomic(path, content) {
+  await mkdir(dirname(path), { recursive: true });
+  const tempPath = join(dirname(path), `.${basename(path)}.${process.pid}.tmp`);
+  try {
+    await writeFile(tempPath, content, "utf-8");
+    await rename(tempPath, path);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Snapshot file name for a time ("events-2026-06-10T12-00-00-000Z.json")
+ */
+function snapshotName(date) {
+  return `events-${date.toISOString().replace(/:/g, "-").replace(".", "-")}.json`;
+}
+
+/**
+ * Path of the file saved with a snapshot under `key` (see createSnapshot()):
+ * "events-….json" → "events-….archive.json"
+ */
+export function snapshotCompanionPath(snapshotPath, key) {
+  return snapshotPath.replace(/\.json$/, `.${key}.json`);
+}
+
+/**
+ * Lists the snapshots in a directory, newest first
+ *
+ * @returns {Promise<Array<{name: string, path: string, takenAt: string, companions: Object<string, string>}>>}
+ *   `companions` maps each key passed to createSnapshot() to its saved copy
+ */
+export async function listSnapshots(dir) {
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  return names
+    .map((name) => ({ name, match: name.match(SNAPSHOT_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => {
+      const [date, time] = match[1].split("T");
+      const [hours, minutes, seconds, millis] = time.replace("Z", "").split("-");
+      const prefix = name.replace(/\.json$/, ".");
+      const companions = Object.fromEntries(
+        names
+          .filter((other) => other.startsWith(prefix) && other.endsWith(".json"))
+          .map((other) => [other.slice(prefix.length, -".json".length), join(dir, other)])
+      );
+      return { name, path: join(dir, name), takenAt: `${date}T${hours}:${minutes}:${seconds}.${millis}Z`, companions };
+    })
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+}
+
+/**
+ * Copies the current file into the snapshot directory and prunes the oldest
+ * snapshots beyond `keep`
+ *
+ * Files that must be restored together with it (the archive and sync state
+ * the file was published from) go in `companions`, by key; missing ones are
+ * skipped.
+ *
+ * @param {string} filePath
+ * @param {{dir: string, keep: number, now?: Date, companions?: Object<string, string>}} options
+ * @returns {Promise<string|null>} Snapshot path (null when there was no file)
+ */
+export async function createSnapshot(filePath, { dir, keep, now = syncNow(), companions = {} }) {
+  await mkdir(dir, { recursive: true });
+  const snapshotPath = join(dir, snapshotName(now));
+  try {
+    await copyFile(filePath, snapshotPath);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  for (const [key, path] of Object.entries(companions)) {
+    try {
+      await copyFile(path, snapshotCompanionPath(snapshotPath, key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      // Don't leave the copy of an older snapshot with the same name
+      await rm(snapshotCompanionPath(snapshotPath, key), { force: true });
+    }
+  }
+
+  const stale = (await listSnapshots(dir)).slice(keep);
+  const stalePaths = stale.flatMap((snapshot) => [snapshot.path, ...Object.values(snapshot.companions)]);
+  await Promise.all(stalePaths.map((path) => rm(path, { force: true })));
+  return snapshotPath;
+}
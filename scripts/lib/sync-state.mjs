@@ -0,0 +1,217 @@
+/**
+ * Incremental sync: which pages to fetch from Notion, and what the last
+ * sync saw.
+ *
+ * A full sync queries every visible page. An incremental one only queries
+ * the pages edited since the last sync (Notion's `last_edited_time` filter)
+ * and merges them into the events Notion returned last time (the live
+ * entries of the archive, see events-archive.mjs). Edited pages that are no
+ * longer visible, or no longer valid, leave the site like in a full sync.
+ *
+ * Deleted pages don't show up in any query, so a full resync still runs on
+ * a schedule (`fullResyncHours`), and whenever incremental data can't be
+ * trusted: no state or archive yet, or a different property allowlist.
+ *
+ * The state (.sync-state.json, committed with the site like .last-sync):
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "lastFullSyncAt": "...",          When the last full sync ran
+ *     "cursor": "...",                  Latest last_edited_time seen
+ *     "propertiesHash": "...",          Allowlist the events were mapped with
+ *     "pages": { "<page id>": "<last_edited_time>" }   Published pages
+ *   }
+ *
+ * Settings live in scripts/config/incremental-sync.json.
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { createHash } from "crypto";
+import { syncNow } from "./event-dates.mjs";
+import { writeFileAtomic } from "./sync-safety.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const INCREMENTAL_SYNC_CONFIG_PATH = join(__dirname, "..", "config", "incremental-sync.json");
+
+export const SYNC_STATE_VERSION = 1;
+
+// Relative to the site root
+export const SYNC_STATE_FILE = ".sync-state.json";
+
+/**
+ * Loads the incremental sync settings
+ */
+export async function loadIncrementalSyncConfig(path = INCREMENTAL_SYNC_CONFIG_PATH) {
+  const config = JSON.parse(await readFile(path, "utf-8"));
+  return {
+    enabled: config.enabled !== false,
+    fullResyncHours: config.fullResyncHours ?? 24,
+    // Notion rounds last_edited_time to the minute and its search index can
+    // lag behind, so each query reaches back a little before the cursor
+    lookbackMinutes: config.lookbackMinutes ?? 10,
+  };
+}
+
+/**
+ * Reads the sync state
+ *
+ * @returns {Promise<object|null>} null when there is none (or it is from another version)
+ */
+export async function readSyncState(path) {
+  let state;
+  try {
+    state = JSON.parse(await readFile(path, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+  return state.schemaVersion === SYNC_STATE_VERSION ? state : null;
+}
+
+/**
+ * Writes the sync state atomically
+ */
+export async function writeSyncState(path, state) {
+  await writeFileAtomic(path, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+/**
+ * Fingerprint of the property allowlist, so events mapped with another one
+ * are fetched again
+ */
+export function propertiesHash(published) {
+  return createHash("sha256").update(JSON.stringify(published)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Whether the scheduled full resync is due
+ */
+export function isFullResyncDue(state, config, now = syncNow()) {
+  if (!state?.lastFullSyncAt) return true;
+  return now - new Date(state.lastFullSyncAt) >= config.fullResyncHours * 60 * 60 * 1000;
+}
+
+/**
+ * Decides between a full and an incremental sync
+ *
+ * @param {object} options
+ * @param {object|null} options.state - From readSyncState()
+ * @param {object} options.config - From loadIncrementalSyncConfig()
+ * @param {boolean} options.hasArchive - Whether the archive exists (it holds the events to merge into)
+ * @param {string} options.propertiesHash - Of the current allowlist
+ * @param {boolean} [options.full] - Full resync requested (--full)
+ * @returns {{mode: "full"|"incremental", reason: string, since?: string}}
+ */
+export function planSync({ state, config, hasArchive, propertiesHash: hash, full = false, now = syncNow() }) {
+  if (full) return { mode: "full", reason: "requested with --full" };
+  if (!config.enabled) return { mode: "full", reason: "incremental sync disabled" };
+  if (!state || !state.cursor) return { mode: "full", reason: "no previous sync state" };
+  if (!hasArchive) return { mode: "full", reason: "no archive to merge into" };
+  if (state.propertiesHash !== hash) return { mode: "full", reason: "published properties changed" };
+  if (isFullResyncDue(state, config, now)) {
+    return { mode: "full", reason: `scheduled (every ${config.fullResyncHours}h)` };
+  }
+
+  return { mode: "incremental", reason: `pages edited since ${state.cursor}`, since: editedSince(state, config) };
+}
+
+/**
+ * Start of the edited-pages query: the cursor, minus the lookback
+ */
+export function editedSince(state, config) {
+  return new Date(new Date(state.cursor).getTime() - config.lookbackMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Query for the pages edited since `since`, visible or not (unticking
+ * "Visible on site" is an edit too)
+ */
+export function editedPagesQuery(databaseId, since) {
+  return {
+    database_id: databaseId,
+    filter: {
+      timestamp: "last_edited_time",
+      last_edited_time: {
+        on_or_after: since,
+      },
+    },
+    sorts: [
+      {
+        property: "Date",
+        direction: "ascending",
+      },
+    ],
+  };
+}
+
+/**
+ * Whether a page is published (checked by the query in full syncs, by hand
+ * for the edited pages of an incremental one)
+ */
+export function isVisibleOnSite(page) {
+  return page.properties["Visible on site"]?.checkbox === true && !page.archived && !page.in_trash;
+}
+
+/**
+ * Edited pages the last sync hasn't seen yet. The query reaches back before
+ * the cursor, so it also returns pages that are unchanged: published ones
+ * the state already has, and hidden ones the last sync saw go (nothing
+ * after the cursor).
+ */
+export function changedPages(pages, state) {
+  return pages.filter((page) => {
+    if (new Date(page.last_edited_time) > new Date(state.cursor)) return true;
+    if (page.id in (state.pages || {})) return state.pages[page.id] !== page.last_edited_time;
+    return isVisibleOnSite(page);
+  });
+}
+
+/**
+ * Merges the events from edited pages into the previous ones
+ *
+ * @param {Array<object>} previous - Events Notion returned last time
+ * @param {Array<{id: string, event: object|null}>} edited - Edited pages, with
+ *   their event (null when the page is no longer visible or valid)
+ * @returns {Array<object>}
+ */
+export function mergeEditedEvents(previous, edited) {
+  const events = new Map(previous.map((event) => [event.id, event]));
+  edited.forEach(({ id, event }) => {
+    if (event) {
+      events.set(id, event);
+    } else {
+      events.delete(id);
+    }
+  });
+  return [...events.values()];
+}
+
+/**
+ * State after a successful sync
+ *
+ * @param {object|null} previous - Previous state
+ * @param {object} options
+ * @param {"full"|"incremental"} options.mode
+ * @param {Array<object>} options.pages - Pages returned by the query
+ * @param {Array<object>} options.events - Events now in Notion (after the merge)
+ * @param {string} options.propertiesHash
+ */
+export function nextSyncState(previous, { mode, pages, events, propertiesHash: hash, now = syncNow() }) {
+  const editedTimes = [previous?.cursor, ...pages.map((page) => page.last_edited_time)].filter(Boolean);
+  const cursor = editedTimes.reduce((latest, time) => (new Date(time) > new Date(latest) ? time : latest), editedTimes[0] || null);
+
+  return {
+    schemaVersion: SYNC_STATE_VERSION,
+    lastFullSyncAt: mode === "full" ? now.toISOString() : previous?.lastFullSyncAt || null,
+    cursor,
+    propertiesHash: hash,
+    pages: Object.fromEntries(
+      [...events]
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map((event) => [event.id, event.lastEditedTime])
+    ),
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Helpers for the webhook receiver (scripts/webhook-server.mjs) and its
+ * local stand-in (scripts/post-webhook.mjs).
+ *
+ * Callbacks are signed like Notion's webhooks: an `X-Notion-Signature`
+ * header with `sha256=` and the hex HMAC-SHA256 of the raw body, keyed with
+ * the shared secret (for Notion webhooks, the subscription's verification
+ * token). Notion automations ("Send webhook") can't sign their requests but
+ * can send a fixed header, so `X-Webhook-Token: <secret>` is accepted too.
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+export const SIGNATURE_HEADER = "x-notion-signature";
+export const TOKEN_HEADER = "x-webhook-token";
+
+/**
+ * Signature header value for a body
+ */
+export function signPayload(body, secret) {
+  return `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+/**
+ * Compares two strings in constant time
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Checks a request's signature (or token) against the shared secret
+ *
+ * @param {Buffer|string} body - Raw request body
+ * @param {object} headers - Request headers (lower-case names, as in Node)
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export function verifyRequest(body, headers, secret) {
+  if (!secret) return false;
+  const signature = headers[SIGNATURE_HEADER];
+  if (signature) {
+    return safeEqual(signature, signPayload(body, secret));
+  }
+  const token = headers[TOKEN_HEADER];
+  return Boolean(token) && safeEqual(token, secret);
+}
+
+/**
+ * Notion ids with or without dashes, for comparisons
+ */
+function normalizeId(id) {
+  return String(id || "").replace(/-/g, "").toLowerCase();
+}
+
+/**
+ * Database a callback is about, when the payload says: `data.parent` in
+ * webhook events, `data.parent.database_id` in automation callbacks
+ */
+export function payloadDatabaseId(payload) {
+  const parent = payload?.data?.parent;
+  if (!parent) return null;
+  return parent.database_id || (parent.type === "database" ? parent.id : null) || null;
+}
+
+/**
+ * Whether a callback can concern the events database (callbacks that don't
+ * name a database are assumed to)
+ */
+export function isForDatabase(payload, databaseId) {
+  const target = payloadDatabaseId(payload);
+  return !target || !databaseId || normalizeId(target) === normalizeId(databaseId);
+}
+
+/**
+ * Debounces bursts of callbacks into single runs
+ *
+ * A run starts `delayMs` after the last trigger, but no later than
+ * `maxWaitMs` after the first one, so a steady stream of edits still syncs.
+ * Triggers during a run schedule one more run after it.
+ *
+ * @param {() => Promise<void>} run
+ * @param {object} options
+ * @param {number} options.delayMs
+ * @param {number} options.maxWaitMs
+ * @param {(error: Error) => void} [options.onError]
+ */
+export function createDebouncer(run, { delayMs, maxWaitMs, onError = () => {} }) {
+  let timer = null;
+  let firstTriggerAt = null;
+  let running = null;
+  let rerun = false;
+
+  function fire() {
+    timer = null;
+    firstTriggerAt = null;
+    running = Promise.resolve()
+      .then(run)
+      .catch(onError)
+      .finally(() => {
+        running = null;
+        if (rerun) {
+          rerun = false;
+          trigger();
+        }
+      });
+  }
+
+  function trigger() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    const now = Date.now();
+    firstTriggerAt ??= now;
+    clearTimeout(timer);
+    const wait = Math.min(delayMs, firstTriggerAt + maxWaitMs - now);
+    timer = setTimeout(fire, Math.max(0, wait));
+  }
+
+  return {
+    trigger,
+
+    /**
+     * Drops a scheduled run and waits for the current one, if any
+     */
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      rerun = false;
+      await running;
+    },
+
+    /**
+     * What the debouncer is doing, for the health endpoint
+     */
+    status() {
+      return { scheduled: Boolean(timer), running: Boolean(running), rerun };
+    },
+  };
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for Notion: posts sample callbacks to the webhook receiver
+ * (scripts/webhook-server.mjs), signed with WEBHOOK_SECRET like Notion signs
+ * its webhooks.
+ *
+ * Sample payloads live in scripts/fixtures/webhooks/ (a page update, a page
+ * creation, an automation callback, one about another database and Notion's
+ * verification request); they point at the fixture database, so a receiver
+ * started with NOTION_FIXTURES syncs offline.
+ *
+ * Usage:
+ *   npm run post-webhook                                Post page-properties-updated.json
+ *   npm run post-webhook -- page-created.json automation.json
+ *   npm run post-webhook -- --repeat 5                  A burst (see the debounce)
+ *   npm run post-webhook -- --unsigned                  Expect 401
+ *   npm run post-webhook -- --token automation.json     Send X-Webhook-Token like an automation
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, join, isAbsolute } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import { signPayload, SIGNATURE_HEADER, TOKEN_HEADER } from "./lib/webhook.mjs";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PAYLOADS_DIR = join(__dirname, "fixtures", "webhooks");
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: "string", default: `http://localhost:${process.env.WEBHOOK_PORT || 8787}/notion` },
+      repeat: { type: "string", default: "1" },
+      unsigned: { type: "boolean", default: false },
+      token: { type: "boolean", default: false },
+    },
+  });
+
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret && !values.unsigned) {
+    throw new Error("WEBHOOK_SECRET environment variable is not set (or use --unsigned)");
+  }
+
+  const files = positionals.length > 0 ? positionals : ["page-properties-updated.json"];
+  const repeat = Number(values.repeat) || 1;
+
+  for (let round = 0; round < repeat; round++) {
+    for (const file of files) {
+      const path = isAbsolute(file) || file.includes("/") ? file : join(PAYLOADS_DIR, file);
+      const body = await readFile(path, "utf-8");
+      // Notion doesn't sign its verification request
+      const isVerification = Boolean(JSON.parse(body).verification_token);
+
+      const headers = { "Content-Type": "application/json" };
+      if (!values.unsigned && !isVerification) {
+        if (values.token) {
+          headers[TOKEN_HEADER] = secret;
+        } else {
+          headers[SIGNATURE_HEADER] = signPayload(body, secret);
+        }
+      }
+
+      const response = await fetch(values.url, { method: "POST", headers, body });
+      console.log(`${response.status} ← ${file}: ${await response.text()}`);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Error posting webhook:", error.cause?.message || error.message);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Prerenders the event lists into index.html and events.html.
+ *
+ * Uses the same rendering code as the browser (assets/js/events.js), so
+ * crawlers, link previews and visitors without JavaScript get the full list.
+ * The client script then only refreshes the markup if the data or language
+ * differ from what was prerendered.
+ *
+ * Markup is injected between marker comments in the HTML files:
+ *   <!-- prerender:NAME --> ... <!-- /prerender:NAME -->
+ *
+ * The fetch script calls prerenderPages() after each sync; this file can
+ * also be run on its own:
+ *   node scripts/prerender-events.mjs
+ */
+
+import { writeFile, readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { loadSiteRenderer } from "./lib/site-renderer.mjs";
+import { readEventsFile } from "./lib/events-file.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, "..");
+
+// Pages are served in Portuguese by default (<html lang="pt">)
+const PRERENDER_LANG = "pt";
+
+/**
+ * Replaces the content between a pair of prerender markers
+ */
+export function replaceRegion(html, name, content) {
+  const start = `<!-- prerender:${name} -->`;
+  const end = `<!-- /prerender:${name} -->`;
+  const startIndex = html.indexOf(start);
+  const endIndex = html.indexOf(end);
+
+  if (startIndex === -1 || endIndex === -1 || endIndex < startIndex) {
+    throw new Error(`Missing prerender markers for "${name}"`);
+  }
+
+  return html.slice(0, startIndex + start.length) + content + html.slice(endIndex);
+}
+
+/**
+ * Serializes Event JSON-LD for a <script> tag (no "</script>" break-outs)
+ */
+function jsonLdScript(data) {
+  if (!data.length) return "";
+  const json = JSON.stringify(data, null, 2).replace(/</g, "\\u003c");
+  return `<script type="application/ld+json" id="events-jsonld">${json}</script>`;
+}
+
+/**
+ * Wraps rendered markup in a container tagged with its render hash
+ */
+function container(renderer, className, html, extraAttributes = "") {
+  const hash = renderer.hashString(html);
+  return `<div class="${className}"${extraAttributes} data-render-hash="${hash}">${html}</div>`;
+}
+
+/**
+ * Prerenders index.html and events.html from the given events
+ *
+ * @param {Array<object>} rawEvents - Events as written to public/events.json
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Directory holding the HTML pages
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export async function prerenderPages(rawEvents, { rootDir = ROOT_DIR } = {}) {
+  const renderer = await loadSiteRenderer(rootDir);
+  const events = rawEvents.map(renderer.formatEvent);
+  const written = [];
+
+  // Homepage: upcoming events list
+  const indexPath = join(rootDir, "index.html");
+  let indexHtml = await readFile(indexPath, "utf-8");
+  indexHtml = replaceRegion(
+    indexHtml,
+    "home-events",
+    container(renderer, "event-list", renderer.renderHomeEventsHTML(events, PRERENDER_LANG))
+  );
+  indexHtml = replaceRegion(
+    indexHtml,
+    "events-jsonld",
+    jsonLdScript(renderer.buildEventJsonLd(renderer.selectHomeEvents(events)))
+  );
+  await writeFile(indexPath, indexHtml, "utf-8");
+  written.push(indexPath);
+
+  // Events page: upcoming list + past archive
+  const eventsPath = join(rootDir, "events.html");
+  const pageHtml = renderer.renderEventsPageHTML(events, PRERENDER_LANG);
+  let eventsHtml = await readFile(eventsPath, "utf-8");
+  eventsHtml = replaceRegion(
+    eventsHtml,
+    "events-upcoming",
+    container(renderer, "event-list", pageHtml.upcoming, ' aria-live="polite"')
+  );
+  eventsHtml = replaceRegion(
+    eventsHtml,
+    "events-past",
+    container(renderer, "archive", pageHtml.past, ' aria-live="polite"')
+  );
+  eventsHtml = replaceRegion(
+    eventsHtml,
+    "events-jsonld",
+    jsonLdScript(renderer.buildEventJsonLd(events))
+  );
+  await writeFile(eventsPath, eventsHtml, "utf-8");
+  written.push(eventsPath);
+
+  return written;
+}
+
+async function main() {
+  const inputPath = join(ROOT_DIR, "public", "events.json");
+  const events = await readEventsFile(inputPath);
+
+  const written = await prerenderPages(events);
+  written.forEach((path) => console.log(`✅ Prerendered ${path}`));
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error("❌ Error prerendering event pages:", error.message);
+    process.exit(1);
+  });
+}
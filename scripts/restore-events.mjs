@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Restores public/events.json from a snapshot taken by the fetch script, and
+ * regenerates everything built from it (calendar feeds, prerendered lists,
+ * event pages, sitemap).
+ *
+ * The fetch script keeps the previous events.json in .snapshots/events/
+ * before every write (see scripts/config/sync-safety.json). Restoring also
+ * snapshots the current file first, so a restore can be undone the same way.
+ *
+ * The archive (data/events-archive.json) and sync state (.sync-state.json)
+ * saved with the snapshot are restored too: the next sync builds on them, so
+ * leaving the current ones would publish the unwanted events again. For a
+ * snapshot without a sync state the current one is deleted, which makes the
+ * next sync a full resync.
+ *
+ * Usage:
+ *   npm run restore-events                         Restore the newest snapshot
+ *   npm run restore-events -- --list               List the snapshots
+ *   npm run restore-events -- --snapshot <name>    Restore a specific snapshot
+ */
+
+import { readFile, rm } from "fs/promises";
+import { dirname, join, isAbsolute } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { writeCalendarFeeds } from "./generate-calendar.mjs";
+import { prerenderPages } from "./prerender-events.mjs";
+import { writeEventPages } from "./generate-event-pages.mjs";
+import { writeSitemap } from "./generate-sitemap.mjs";
+import { eventsFromJson, validateEventsEnvelope } from "./lib/events-file.mjs";
+import {
+  loadSyncSafetyConfig,
+  listSnapshots,
+  createSnapshot,
+  snapshotCompanionPath,
+  writeFileAtomic,
+} from "./lib/sync-safety.mjs";
+import { EVENTS_ARCHIVE_FILE } from "./lib/events-archive.mjs";
+import { SYNC_STATE_FILE } from "./lib/sync-state.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+// SYNC_ROOT_DIR lets offline runs use a scratch copy of the site
+const ROOT_DIR = process.env.SYNC_ROOT_DIR || join(__dirname, "..");
+
+/**
+ * null for a file that doesn't exist
+ */
+function ignoreMissing(error) {
+  if (error.code === "ENOENT") return null;
+  throw error;
+}
+
+/**
+ * Reads a snapshot and checks that it can be published
+ */
+async function readSnapshot(path) {
+  const text = await readFile(path, "utf-8");
+  const data = JSON.parse(text);
+  // Snapshots from before the versioned format are bare arrays
+  if (!Array.isArray(data)) {
+    const errors = await validateEventsEnvelope(data);
+    if (errors.length > 0) {
+      throw new Error(`${path} does not match public/events.schema.json:\n   - ${errors.join("\n   - ")}`);
+    }
+  }
+  return { text, events: eventsFromJson(data) };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      list: { type: "boolean", default: false },
+      snapshot: { type: "string" },
+    },
+  });
+
+  const safety = await loadSyncSafetyConfig();
+  const snapshotsDir = join(ROOT_DIR, safety.snapshots.dir);
+  const snapshots = await listSnapshots(snapshotsDir);
+
+  if (values.list) {
+    if (snapshots.length === 0) {
+      console.log(`No snapshots in ${snapshotsDir}`);
+      return;
+    }
+    for (const snapshot of snapshots) {
+      const { events } = await readSnapshot(snapshot.path).catch(() => ({ events: null }));
+      const saved = snapshot.companions.archive ? "" : " (events only)";
+      console.log(`${snapshot.name}  ${snapshot.takenAt}  ${events ? `${events.length} events${saved}` : "unreadable"}`);
+    }
+    return;
+  }
+
+  let snapshotPath;
+  if (values.snapshot) {
+    snapshotPath = isAbsolute(values.snapshot) || values.snapshot.includes("/")
+      ? values.snapshot
+      : join(snapshotsDir, values.snapshot);
+  } else if (snapshots.length > 0) {
+    snapshotPath = snapshots[0].path;
+  } else {
+    throw new Error(`No snapshots in ${snapshotsDir}`);
+  }
+
+  const { text, events } = await readSnapshot(snapshotPath);
+  // Read before the current files are snapshotted, in case that prunes this one
+  const companions = {
+    archive: await readFile(snapshotCompanionPath(snapshotPath, "archive"), "utf-8").catch(ignoreMissing),
+    syncState: await readFile(snapshotCompanionPath(snapshotPath, "sync-state"), "utf-8").catch(ignoreMissing),
+  };
+  const outputPath = join(ROOT_DIR, "public", "events.json");
+  const archivePath = join(ROOT_DIR, EVENTS_ARCHIVE_FILE);
+  const statePath = join(ROOT_DIR, SYNC_STATE_FILE);
+
+  const previousPath = await createSnapshot(outputPath, {
+    dir: snapshotsDir,
+    keep: safety.snapshots.keep,
+    now: new Date(),
+    companions: { archive: archivePath, "sync-state": statePath },
+  });
+  if (previousPath) {
+    console.log(`✅ Saved the current events to ${previousPath}`);
+  }
+
+  await writeFileAtomic(outputPath, text);
+  console.log(`✅ Restored ${events.length} events from ${snapshotPath}`);
+
+  if (companions.archive !== null) {
+    await writeFileAtomic(archivePath, companions.archive);
+    console.log(`✅ Restored the archive ${archivePath}`);
+  } else {
+    console.warn(
+      `⚠️  The snapshot has no archive, ${archivePath} is unchanged: hide unwanted events with npm run archive-events`
+    );
+  }
+  if (companions.syncState !== null) {
+    await writeFileAtomic(statePath, companions.syncState);
+    console.log(`✅ Restored the sync state ${statePath}`);
+  } else {
+    await rm(statePath, { force: true });
+    console.log(`ℹ️  The snapshot has no sync state: removed ${statePath}, the next sync is a full resync`);
+  }
+
+  const publicDir = join(ROOT_DIR, "public");
+  const calendarPaths = await writeCalendarFeeds(events, { outputDir: publicDir });
+  console.log(`✅ Wrote ${calendarPaths.length} calendar feeds`);
+  const prerenderedPaths = await prerenderPages(events, { rootDir: ROOT_DIR });
+  console.log(`✅ Prerendered events into ${prerenderedPaths.length} pages`);
+  const eventPages = await writeEventPages(events, { rootDir: ROOT_DIR });
+  console.log(`✅ Wrote ${eventPages.written.length} event pages (removed ${eventPages.removed.length} stale)`);
+  const sitemap = await writeSitemap(events, { rootDir: ROOT_DIR });
+  console.log(`✅ Wrote sitemap with ${sitemap.urlCount} URLs`);
+}
+
+main().catch((error) => {
+  console.error("❌ Error restoring events:", error.message);
+  process.exit(1);
+});
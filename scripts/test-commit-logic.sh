@@ -20,7 +20,7 @@ fi
 echo "✅ Changes detected"
 echo ""
 
-# Check if only .last-sync changed (no actual data changes)
+# Check if only the sync bookkeeping (.last-sync, .sync-state.json) changed (no actual data changes)
 CHANGED_FILES=$(git status --porcelain | awk '{print $2}')
 ONLY_SYNC_FILE=true
 DATA_CHANGED=false
@@ -28,7 +28,7 @@ DATA_CHANGED=false
 echo "📋 Changed files:"
 for file in $CHANGED_FILES; do
   echo "   - $file"
-  if [ "$file" != ".last-sync" ]; then
+  if [ "$file" != ".last-sync" ] && [ "$file" != ".sync-state.json" ]; then
     ONLY_SYNC_FILE=false
     # Check if events.json or other data files changed
     if [[ "$file" == "public/events.json" ]] || [[ "$file" == "public/"* ]]; then
@@ -39,7 +39,7 @@ done
 
 echo ""
 echo "🔍 Analysis:"
-echo "   - Only .last-sync changed: $ONLY_SYNC_FILE"
+echo "   - Only .last-sync / .sync-state.json changed: $ONLY_SYNC_FILE"
 echo "   - Data files changed: $DATA_CHANGED"
 echo ""
 
@@ -48,7 +48,7 @@ if [ "$ONLY_SYNC_FILE" = true ]; then
   echo "📝 Would commit with message:"
   echo "   'chore(sync): update last sync timestamp'"
   echo ""
-  echo "📦 Would stage: .last-sync"
+  echo "📦 Would stage: $CHANGED_FILES"
 else
   if [ "$DATA_CHANGED" = true ]; then
     echo "📝 Would commit with message:"
@@ -2,30 +2,94 @@
 
 /**
  * Test script to simulate the GitHub Actions workflow locally.
- * 
+ *
+ * Offline (default): replays the Notion fixtures in scripts/fixtures/notion/
+ * with a frozen "now", running check → fetch → write → check into a scratch
+ * copy of the site (starting from previous-events.json and
+ * previous-archive.json), then compares the results with the expected fixtures.
+ * Cover images and partner calendars (event-sources.json) come from
+ * scripts/fixtures/notion/files/; an image no event uses must be pruned. No
+ * generated file may contain the venue details the fixtures keep private.
+ * A page is then hidden in the fixture Notion: the check must notice, and an
+ * incremental fetch must agree with a full resync, which downloads covers
+ * from other hosts again; restoring the snapshot it took must bring back
+ * events.json, the archive and the sync state from before. Rebuilding the calendar feeds must not
+ * change them, and retries without `Retry-After` must back off.
+ * Needs no credentials and never touches this checkout.
+ *
+ * Live (--live): runs the same steps against the real Notion API and writes
+ * to this checkout, like the workflow does.
+ *
  * Usage:
- *   1. Create a .env file with:
- *      NOTION_API_KEY=your_api_key
- *      NOTION_EVENTS_DATABASE=your_database_id
- *   2. Run: npm run test-sync
+ *   npm run test-sync                    Offline, deterministic
+ *   npm run test-sync -- --update        Offline, rewrite the expected fixtures
+ *   npm run test-sync -- --keep          Offline, keep the scratch directory
+ *   npm run test-sync -- --live          Live; needs a .env file with:
+ *                                          NOTION_API_KEY=your_api_key
+ *                                          NOTION_EVENTS_DATABASE=your_database_id
  */
 
 import { spawn } from "child_process";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { tmpdir } from "os";
+import { mkdtemp, mkdir, cp, readFile, readdir, writeFile, rm, access } from "fs/promises";
+import { isDeepStrictEqual } from "util";
+import { retryDelayMs } from "./lib/notion-api.mjs";
+import { writeCalendarFeeds } from "./generate-calendar.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, "..");
 
-function runScript(scriptPath) {
+const FIXTURES_DIR = join(__dirname, "fixtures", "notion");
+const FIXTURE_FILE = join(FIXTURES_DIR, "events-database.json");
+const EVENT_SOURCES_FILE = join(FIXTURES_DIR, "event-sources.json");
+const EXPECTED_EVENTS_FILE = join(FIXTURES_DIR, "expected-events.json");
+const EXPECTED_UPDATES_FILE = join(FIXTURES_DIR, "expected-updates.json");
+const EXPECTED_CHANGELOG_FILE = join(FIXTURES_DIR, "expected-changelog.txt");
+const EXPECTED_ARCHIVE_FILE = join(FIXTURES_DIR, "expected-archive.json");
+const EXPECTED_SYNC_STATE_FILE = join(FIXTURES_DIR, "expected-sync-state.json");
+const EXPECTED_IMAGES_FILE = join(FIXTURES_DIR, "expected-images.json");
+// events.json and archive of the scratch site before the sync, so every kind
+// of change shows up (including a past event kept after leaving Notion)
+const PREVIOUS_EVENTS_FILE = join(FIXTURES_DIR, "previous-events.json");
+const PREVIOUS_ARCHIVE_FILE = join(FIXTURES_DIR, "previous-archive.json");
+
+// Frozen "now" for offline runs: one event has ended, one is in progress
+const FIXTURE_NOW = "2026-06-10T12:00:00.000Z";
+
+// Site files the sync reads (the rest is generated)
+const SITE_FILES = ["index.html", "events.html", "assets/js/events.js"];
+
+// Venue details the fixtures keep private: places of hidden or
+// neighbourhood-only events, place and event columns that aren't allowlisted
+const PRIVATE_VENUE_TEXT = [
+  "Secret Garage",
+  "Rua da Sofia",
+  "maps.example.com/secret-garage",
+  "Café Secreto",
+  "Travessa Escondida",
+  "maps.example.com/cafe",
+  "Door code 4711#",
+  "Knock twice",
+  "Badge at reception",
+  "+351 910",
+];
+
+// Image left over from a cover no event uses anymore
+const ORPHAN_IMAGE = "assets/images/events/0123456789abcdef-480.jpg";
+
+const args = process.argv.slice(2);
+
+function runScript(scriptPath, env = {}, cwd = ROOT_DIR, scriptArgs = []) {
   return new Promise((resolve, reject) => {
-    console.log(`\n📋 Running: ${scriptPath}\n`);
-    
-    const child = spawn("node", [scriptPath], {
-      cwd: ROOT_DIR,
+    console.log(`\n📋 Running: ${[scriptPath, ...scriptArgs].join(" ")}\n`);
+
+    const child = spawn("node", [join(ROOT_DIR, scriptPath), ...scriptArgs], {
+      cwd,
       stdio: "inherit",
-      env: { ...process.env },
+      env: { ...process.env, ...env },
     });
 
     child.on("close", (code) => {
@@ -38,8 +102,43 @@ function runScript(scriptPath) {
   });
 }
 
-async function main() {
-  console.log("🧪 Testing Notion sync workflow locally\n");
+/**
+ * Runs a script with --json and returns its exit code and parsed summary
+ */
+function runScriptJson(scriptPath, env = {}, cwd = ROOT_DIR, scriptArgs = []) {
+  return new Promise((resolve, reject) => {
+    const allArgs = [...scriptArgs, "--json"];
+    console.log(`\n📋 Running: ${[scriptPath, ...allArgs].join(" ")}\n`);
+
+    const child = spawn("node", [join(ROOT_DIR, scriptPath), ...allArgs], {
+      cwd,
+      stdio: ["inherit", "pipe", "inherit"],
+      env: { ...process.env, ...env },
+    });
+
+    let stdout = "";
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+
+    child.on("close", (code) => {
+      let summary = null;
+      try {
+        summary = JSON.parse(stdout);
+      } catch {
+        // Reported by the caller through the exit code / missing summary
+      }
+      resolve({ code, summary });
+    });
+
+    child.on("error", (error) => {
+      reject(error);
+    });
+  });
+}
+
+async function runLive() {
+  console.log("🧪 Testing Notion sync workflow locally (live Notion API)\n");
   console.log("=" .repeat(50));
 
   // Step 1: Check if updates are needed
@@ -50,7 +149,7 @@ async function main() {
     console.log("\n✅ Check result: Fetch is needed (database was updated)");
     console.log("\n2️⃣  Step 2: Fetching events from Notion...");
     const fetchExitCode = await runScript("scripts/fetch-events-from-notion.mjs");
-    
+
     if (fetchExitCode === 0) {
       console.log("\n✅ Fetch completed successfully!");
     } else {
@@ -73,8 +172,309 @@ async function main() {
   console.log("   - Run again immediately to test the skip logic");
 }
 
+/**
+ * Compares a result (JSON value, or text) with an expected fixture (or
+ * rewrites it with --update)
+ */
+async function expectMatchesFixture(label, actual, fixturePath, failures) {
+  const isText = typeof actual === "string";
+  if (args.includes("--update")) {
+    await writeFile(fixturePath, isText ? actual : JSON.stringify(actual, null, 2) + "\n", "utf-8");
+    console.log(`   ✏️  Updated ${fixturePath}`);
+    return;
+  }
+
+  const content = await readFile(fixturePath, "utf-8");
+  const expected = isText ? content : JSON.parse(content);
+  if (isDeepStrictEqual(actual, expected)) {
+    console.log(`   ✅ ${label} match ${fixturePath}`);
+  } else {
+    failures.push(`${label} differ from ${fixturePath} (run with --update after intended changes)`);
+  }
+}
+
+/**
+ * Checks that generated files exist in the scratch site
+ */
+async function expectFiles(siteDir, paths, failures) {
+  for (const path of paths) {
+    try {
+      await access(join(siteDir, path));
+    } catch {
+      failures.push(`Missing generated file: ${path}`);
+    }
+  }
+}
+
+/**
+ * Rebuilds the calendar feeds from the written events: unchanged events must
+ * give byte-identical feeds (no timestamps of the run in them)
+ */
+async function expectStableCalendarFeeds(siteDir, events, failures) {
+  // DTSTAMP has whole seconds: rebuild in a later second than the sync
+  await new Promise((resolve) => setTimeout(resolve, 1000 - (Date.now() % 1000) + 1));
+  const rebuildDir = join(siteDir, "calendar-rebuild");
+  const rebuilt = await writeCalendarFeeds(events, { outputDir: rebuildDir });
+  let differing = 0;
+  for (const path of rebuilt) {
+    const name = path.slice(rebuildDir.length + 1);
+    const written = await readFile(join(siteDir, "public", name), "utf-8");
+    if (written !== (await readFile(path, "utf-8"))) {
+      failures.push(`Rebuilding public/${name} from the same events changed it`);
+      differing++;
+    }
+  }
+  await rm(rebuildDir, { recursive: true, force: true });
+  if (differing === 0) {
+    console.log(`   ✅ Rebuilt ${rebuilt.length} calendar feeds are byte-identical`);
+  }
+}
+
+/**
+ * Checks that no file of the scratch site contains private venue details
+ */
+async function expectNoPrivateVenueText(siteDir, failures) {
+  const files = (await readdir(siteDir, { recursive: true, withFileTypes: true }))
+    .filter((entry) => entry.isFile() && !/\.(jpg|webp)$/.test(entry.name))
+    .map((entry) => join(entry.parentPath ?? entry.path, entry.name));
+
+  let leaks = 0;
+  for (const file of files) {
+    const content = await readFile(file, "utf-8");
+    for (const text of PRIVATE_VENUE_TEXT) {
+      if (content.includes(text)) {
+        failures.push(`Private venue detail "${text}" found in ${file.slice(siteDir.length + 1)}`);
+        leaks++;
+      }
+    }
+  }
+  if (leaks === 0) {
+    console.log(`   ✅ No private venue details in ${files.length} generated files`);
+  }
+}
+
+/**
+ * Unticks "Visible on site" on a page (recorded like an update from the
+ * scripts), checks that it calls for a fetch, runs an incremental fetch and
+ * compares it with a full resync
+ */
+async function expectIncrementalMatchesFull(siteDir, env, recordFile, failures) {
+  const pageId = "a1000000-0000-4000-8000-000000000005";
+  const updates = JSON.parse(await readFile(recordFile, "utf-8").catch(() => "[]"));
+  updates.push({ page_id: pageId, properties: { "Visible on site": { checkbox: false } }, at: FIXTURE_NOW });
+  await writeFile(recordFile, JSON.stringify(updates, null, 2), "utf-8");
+
+  // The edit only shows on the page, never on the database
+  const check = await runScript("scripts/check-notion-updates.mjs", env, siteDir);
+  if (check !== 0) failures.push(`Check should see the edited page and request a fetch (exit 0), got ${check}`);
+
+  const incremental = await runScriptJson("scripts/fetch-events-from-notion.mjs", env, siteDir);
+  if (incremental.code !== 0 || !incremental.summary) {
+    failures.push(`Incremental fetch failed with exit code ${incremental.code}`);
+    return;
+  }
+  if (incremental.summary.sync?.mode !== "incremental") {
+    failures.push(`Second fetch should be incremental, was ${incremental.summary.sync?.mode}`);
+  }
+  if (!incremental.summary.changes?.removed.some((event) => event.id === pageId)) {
+    failures.push(`Incremental fetch should remove the hidden page ${pageId}`);
+  }
+
+  const fullFile = join(siteDir, "events-full.json");
+  const full = await runScriptJson("scripts/fetch-events-from-notion.mjs", env, siteDir, [
+    "--full",
+    "--no-status-updates",
+    "--output",
+    fullFile,
+  ]);
+  if (full.code !== 0) {
+    failures.push(`Full resync failed with exit code ${full.code}`);
+    return;
+  }
+  // Covers from other hosts can be replaced at the same URL; the broken
+  // fixture cover is downloaded (and fails) on every sync
+  const images = full.summary?.images;
+  if (!images || images.downloaded <= images.failed.length) {
+    failures.push("A full resync should download the covers hosted outside Notion again");
+  }
+
+  const incrementalEvents = JSON.parse(await readFile(join(siteDir, "public", "events.json"), "utf-8")).events;
+  const fullEvents = JSON.parse(await readFile(fullFile, "utf-8")).events;
+  if (isDeepStrictEqual(incrementalEvents, fullEvents)) {
+    console.log("   ✅ Incremental sync matches a full resync");
+  } else {
+    failures.push("Events from the incremental sync differ from a full resync");
+  }
+}
+
+/**
+ * Restores the newest snapshot and checks that events.json, the archive and
+ * the sync state are back to what they were when it was taken
+ */
+async function expectRestoreMatches(siteDir, env, expected, failures) {
+  const code = await runScript("scripts/restore-events.mjs", env, siteDir);
+  if (code !== 0) {
+    failures.push(`Restore failed with exit code ${code}`);
+    return;
+  }
+
+  const files = {
+    "public/events.json": expected.events,
+    "data/events-archive.json": expected.archive,
+    ".sync-state.json": expected.syncState,
+  };
+  let differing = 0;
+  for (const [path, content] of Object.entries(files)) {
+    const restored = JSON.parse(await readFile(join(siteDir, path), "utf-8").catch(() => "null"));
+    if (!isDeepStrictEqual(restored, content)) {
+      failures.push(`Restoring the snapshot should bring back ${path} from before the incremental sync`);
+      differing++;
+    }
+  }
+  if (differing === 0) {
+    console.log("   ✅ Restore brings back events.json, the archive and the sync state");
+  }
+}
+
+/**
+ * Checks the retry delays: `Retry-After` when the API sends one, exponential
+ * backoff otherwise (the fixture faults all send one)
+ */
+function expectRetryDelays(failures) {
+  const response = (headers) => ({ status: 503, headers: new Headers(headers) });
+  const cases = [
+    { label: "no Retry-After", delay: retryDelayMs(response({}), 3), min: 4000, max: 4500 },
+    { label: "empty Retry-After", delay: retryDelayMs(response({ "Retry-After": " " }), 0), min: 500, max: 1000 },
+    { label: "Retry-After: 2", delay: retryDelayMs(response({ "Retry-After": "2" }), 3), min: 2000, max: 2000 },
+    { label: "no headers", delay: retryDelayMs({ code: "ECONNRESET" }, 1), min: 1000, max: 1500 },
+  ];
+
+  const wrong = cases.filter(({ delay, min, max }) => !(delay >= min && delay <= max));
+  wrong.forEach(({ label, delay, min, max }) => {
+    failures.push(`Retry delay with ${label} should be ${min}–${max}ms, got ${delay}ms`);
+  });
+  if (wrong.length === 0) {
+    console.log("   ✅ Retries back off exponentially without Retry-After");
+  }
+}
+
+async function runOffline() {
+  console.log("🧪 Testing Notion sync workflow offline (fixtures)\n");
+  console.log("=" .repeat(50));
+
+  const siteDir = await mkdtemp(join(tmpdir(), "cta-sync-"));
+  for (const file of SITE_FILES) {
+    await cp(join(ROOT_DIR, file), join(siteDir, file), { recursive: true });
+  }
+  await cp(PREVIOUS_EVENTS_FILE, join(siteDir, "public", "events.json"));
+  await cp(PREVIOUS_ARCHIVE_FILE, join(siteDir, "data", "events-archive.json"));
+  await mkdir(dirname(join(siteDir, ORPHAN_IMAGE)), { recursive: true });
+  await writeFile(join(siteDir, ORPHAN_IMAGE), "");
+
+  const fixture = JSON.parse(await readFile(FIXTURE_FILE, "utf-8"));
+  const recordFile = join(siteDir, "notion-updates.json");
+  const changelogFile = join(siteDir, "changelog.txt");
+  const env = {
+    NOTION_FIXTURES: FIXTURE_FILE,
+    NOTION_RECORD_FILE: recordFile,
+    NOTION_EVENTS_DATABASE: fixture.database.id,
+    EVENT_SOURCES_CONFIG: EVENT_SOURCES_FILE,
+    SYNC_NOW: FIXTURE_NOW,
+    SYNC_ROOT_DIR: siteDir,
+  };
+
+  console.log(`\n📁 Scratch site: ${siteDir}`);
+  console.log(`🕒 Frozen now: ${FIXTURE_NOW}`);
+
+  const failures = [];
+
+  try {
+    // Step 1: first run, nothing synced yet
+    console.log("\n1️⃣  Step 1: Checking if a fetch is needed...");
+    const firstCheck = await runScript("scripts/check-notion-updates.mjs", env, siteDir);
+    if (firstCheck !== 0) failures.push(`First check should request a fetch (exit 0), got ${firstCheck}`);
+
+    // Step 2: fetch, update statuses, write everything
+    console.log("\n2️⃣  Step 2: Fetching events from fixtures...");
+    const fetchExitCode = await runScript("scripts/fetch-events-from-notion.mjs", env, siteDir, [
+      "--changelog",
+      changelogFile,
+    ]);
+    if (fetchExitCode !== 0) {
+      failures.push(`Fetch failed with exit code ${fetchExitCode}`);
+    } else {
+      console.log("\n3️⃣  Step 3: Comparing results...");
+      const updates = JSON.parse(await readFile(recordFile, "utf-8").catch(() => "[]"));
+      await expectMatchesFixture("Status updates sent to Notion", updates, EXPECTED_UPDATES_FILE, failures);
+
+      const events = JSON.parse(await readFile(join(siteDir, "public", "events.json"), "utf-8"));
+      await expectMatchesFixture("Events written to events.json", events, EXPECTED_EVENTS_FILE, failures);
+
+      const changelog = await readFile(changelogFile, "utf-8").catch(() => "");
+      await expectMatchesFixture("Change report", changelog, EXPECTED_CHANGELOG_FILE, failures);
+
+      const archive = JSON.parse(await readFile(join(siteDir, "data", "events-archive.json"), "utf-8"));
+      await expectMatchesFixture("Archive", archive, EXPECTED_ARCHIVE_FILE, failures);
+
+      const syncState = JSON.parse(await readFile(join(siteDir, ".sync-state.json"), "utf-8"));
+      await expectMatchesFixture("Sync state", syncState, EXPECTED_SYNC_STATE_FILE, failures);
+
+      const images = JSON.parse(await readFile(join(siteDir, "data", "images.json"), "utf-8"));
+      await expectMatchesFixture("Image manifest", images, EXPECTED_IMAGES_FILE, failures);
+      const covers = events.events.map((event) => event.cover).filter(Boolean);
+      await expectFiles(siteDir, covers.flatMap((cover) => cover.variants.map((variant) => variant.src.slice(1))), failures);
+      if (await access(join(siteDir, ORPHAN_IMAGE)).then(() => true, () => false)) {
+        failures.push(`Unused image should have been removed: ${ORPHAN_IMAGE}`);
+      }
+
+      await expectFiles(siteDir, [
+        ".last-sync",
+        "public/events.ics",
+        "events/index.html",
+        "sitemap.xml",
+        "robots.txt",
+      ], failures);
+
+      await expectStableCalendarFeeds(siteDir, events.events, failures);
+      await expectNoPrivateVenueText(siteDir, failures);
+
+      // Step 4: nothing changed since, so the workflow should skip
+      console.log("\n4️⃣  Step 4: Checking again (should skip)...");
+      const secondCheck = await runScript("scripts/check-notion-updates.mjs", env, siteDir);
+      if (secondCheck !== 1) failures.push(`Second check should skip the fetch (exit 1), got ${secondCheck}`);
+
+      // Step 5: hide an upcoming event in Notion, then sync incrementally
+      console.log("\n5️⃣  Step 5: Hiding a page in Notion and syncing incrementally...");
+      await expectIncrementalMatchesFull(siteDir, env, recordFile, failures);
+      await expectNoPrivateVenueText(siteDir, failures);
+
+      // Step 6: roll the incremental sync back
+      console.log("\n6️⃣  Step 6: Restoring the snapshot taken by that sync...");
+      await expectRestoreMatches(siteDir, env, { events, archive, syncState }, failures);
+    }
+
+    console.log("\n7️⃣  Step 7: Checking retry delays...");
+    expectRetryDelays(failures);
+  } finally {
+    if (args.includes("--keep")) {
+      console.log(`\n📁 Kept scratch site: ${siteDir}`);
+    } else {
+      await rm(siteDir, { recursive: true, force: true });
+    }
+  }
+
+  console.log("\n" + "=".repeat(50));
+  if (failures.length) {
+    console.log("\n❌ Offline sync test failed:");
+    failures.forEach((failure) => console.log(`   - ${failure}`));
+    process.exit(1);
+  }
+  console.log("\n🎉 Offline sync test passed!");
+}
+
+const main = args.includes("--live") ? runLive : runOffline;
+
 main().catch((error) => {
   console.error("\n❌ Error:", error.message);
   process.exit(1);
 });
-
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Small HTTP service that syncs events as soon as they change in Notion,
+ * instead of waiting for the hourly run of sync-notion.yml.
+ *
+ * It accepts Notion webhook and automation callbacks (POST /notion),
+ * verifies them against a shared secret (see scripts/lib/webhook.mjs),
+ * debounces bursts of edits, and then either:
+ *
+ * - local: runs the fetch script (an incremental sync) in this checkout
+ *   (commit and deploy are left to you)
+ * - dispatch: triggers sync-notion.yml through the GitHub API, so the sync
+ *   runs, commits and deploys exactly like the scheduled one
+ *
+ * A verified callback means a page changed, so neither mode runs
+ * check-notion-updates.mjs first: the fetch itself finds the edited pages.
+ *
+ * Usage:
+ *   1. Set environment variables (or a .env file):
+ *      - WEBHOOK_SECRET: Shared secret (Notion webhooks: the verification token)
+ *      - NOTION_EVENTS_DATABASE: Ignore callbacks about other databases (optional)
+ *      - local mode: NOTION_API_KEY, as for the fetch script
+ *      - dispatch mode: GITHUB_TOKEN (actions: write), GITHUB_REPOSITORY (owner/repo)
+ *   2. Run: node scripts/webhook-server.mjs [--mode local|dispatch] [--port 8787]
+ *   3. Try it with the local stand-in: npm run post-webhook
+ *
+ * GET /health reports the mode and the last run.
+ */
+
+import http from "http";
+import { spawn } from "child_process";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import { verifyRequest, isForDatabase, createDebouncer } from "./lib/webhook.mjs";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const USAGE = `Usage: node scripts/webhook-server.mjs [options]
+
+Options:
+  --mode <mode>         local (run the fetch here) or dispatch (trigger
+                        sync-notion.yml on GitHub); default WEBHOOK_MODE or local
+  --port <port>         Port to listen on (default WEBHOOK_PORT or 8787)
+  --debounce <seconds>  Wait for this long without callbacks before syncing
+                        (default WEBHOOK_DEBOUNCE_SECONDS or 30)
+  --max-wait <seconds>  Sync at the latest this long after the first callback
+                        (default WEBHOOK_MAX_WAIT_SECONDS or 300)
+  -h, --help            Show this help`;
+
+/**
+ * Reads the settings from the command line and the environment
+ */
+function parseServerOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      mode: { type: "string", default: process.env.WEBHOOK_MODE || "local" },
+      port: { type: "string", default: process.env.WEBHOOK_PORT || "8787" },
+      debounce: { type: "string", default: process.env.WEBHOOK_DEBOUNCE_SECONDS || "30" },
+      "max-wait": { type: "string", default: process.env.WEBHOOK_MAX_WAIT_SECONDS || "300" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (!["local", "dispatch"].includes(values.mode)) {
+    throw new Error(`Invalid --mode: ${values.mode} (local or dispatch)`);
+  }
+  const numbers = { port: values.port, debounce: values.debounce, "max-wait": values["max-wait"] };
+  for (const [name, value] of Object.entries(numbers)) {
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+      throw new Error(`Invalid --${name}: ${value}`);
+    }
+  }
+
+  return {
+    mode: values.mode,
+    port: Number(values.port),
+    debounceMs: Number(values.debounce) * 1000,
+    maxWaitMs: Number(values["max-wait"]) * 1000,
+    help: values.help,
+  };
+}
+
+/**
+ * Runs one of the sync scripts, resolving with its exit code
+ */
+function runScript(script) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("node", [join(__dirname, script)], { stdio: "inherit", env: process.env });
+    child.on("close", resolve);
+    child.on("error", reject);
+  });
+}
+
+/**
+ * The workflow's fetch step, in this checkout
+ */
+async function syncLocally() {
+  const fetchExitCode = await runScript("fetch-events-from-notion.mjs");
+  if (fetchExitCode !== 0) {
+    throw new Error(`fetch-events-from-notion.mjs exited with ${fetchExitCode}`);
+  }
+  return "synced";
+}
+
+/**
+ * Triggers sync-notion.yml through the GitHub API (workflow_dispatch),
+ * skipping its check step
+ */
+async function dispatchWorkflow() {
+  const apiUrl = process.env.GITHUB_API_URL || "https://api.github.com";
+  const workflow = process.env.GITHUB_WORKFLOW_FILE || "sync-notion.yml";
+  const ref = process.env.GITHUB_REF_NAME || "main";
+  const url = `${apiUrl}/repos/${process.env.GITHUB_REPOSITORY}/actions/workflows/${workflow}/dispatches`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+      "Content-Type": "application/json",
+      "X-GitHub-Api-Version": "2022-11-28",
+    },
+    body: JSON.stringify({ ref, inputs: { skip_check: true } }),
+  });
+  if (response.status !== 204) {
+    throw new Error(`GitHub API returned ${response.status}: ${await response.text()}`);
+  }
+  console.log(`✅ Triggered ${workflow} on ${process.env.GITHUB_REPOSITORY}@${ref}`);
+  return "dispatched";
+}
+
+/**
+ * Reads a request body, up to MAX_BODY_BYTES
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Payload too large"), { statusCode: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+}
+
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+function main() {
+  let options;
+  try {
+    options = parseServerOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const secret = process.env.WEBHOOK_SECRET;
+  const databaseId = process.env.NOTION_EVENTS_DATABASE;
+  if (!secret) {
+    console.error("❌ Error: WEBHOOK_SECRET environment variable is not set");
+    process.exit(1);
+  }
+  if (options.mode === "dispatch" && (!process.env.GITHUB_TOKEN || !process.env.GITHUB_REPOSITORY)) {
+    console.error("❌ Error: dispatch mode needs GITHUB_TOKEN and GITHUB_REPOSITORY (owner/repo)");
+    process.exit(1);
+  }
+
+  const lastRun = { at: null, result: null, error: null };
+  const sync = options.mode === "dispatch" ? dispatchWorkflow : syncLocally;
+
+  const debouncer = createDebouncer(
+    async () => {
+      console.log(`🔄 Syncing (${options.mode})...`);
+      lastRun.at = new Date().toISOString();
+      lastRun.error = null;
+      lastRun.result = await sync();
+    },
+    {
+      delayMs: options.debounceMs,
+      maxWaitMs: options.maxWaitMs,
+      onError: (error) => {
+        lastRun.result = "error";
+        lastRun.error = error.message;
+        console.error("❌ Sync failed:", error.message);
+      },
+    }
+  );
+
+  async function handleCallback(request, response) {
+    const body = await readBody(request);
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString("utf-8") || "{}");
+    } catch {
+      sendJson(response, 400, { error: "Invalid JSON" });
+      return;
+    }
+
+    // Notion's one-time subscription check is unsigned: log the token so it
+    // can be pasted back into Notion and used as WEBHOOK_SECRET
+    if (payload.verification_token && !request.headers["x-notion-signature"]) {
+      console.log(`🔑 Notion verification token: ${payload.verification_token}`);
+      sendJson(response, 200, { ok: true });
+      return;
+    }
+
+    if (!verifyRequest(body, request.headers, secret)) {
+      console.warn("⚠️  Rejected a callback with a missing or invalid signature");
+      sendJson(response, 401, { error: "Invalid signature" });
+      return;
+    }
+
+    if (!isForDatabase(payload, databaseId)) {
+      sendJson(response, 202, { queued: false, reason: "Not the events database" });
+      return;
+    }
+
+    const pageId = payload.entity?.id || payload.data?.id;
+    console.log(`📨 ${payload.type || payload.source?.type || "callback"}${pageId ? ` for ${pageId}` : ""}, syncing within ${options.debounceMs / 1000}s`);
+    debouncer.trigger();
+    sendJson(response, 202, { queued: true });
+  }
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    if (request.method === "GET" && pathname === "/health") {
+      sendJson(response, 200, { ok: true, mode: options.mode, ...debouncer.status(), lastRun });
+      return;
+    }
+    if (request.method === "POST" && (pathname === "/notion" || pathname === "/")) {
+      handleCallback(request, response).catch((error) => {
+        if (!response.headersSent) {
+          sendJson(response, error.statusCode || 500, { error: error.message });
+        }
+      });
+      return;
+    }
+    sendJson(response, 404, { error: "Not found" });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`👂 Listening for Notion callbacks on http://localhost:${options.port}/notion (${options.mode} mode)`);
+  });
+
+  // Let a running sync finish before exiting
+  const shutdown = async () => {
+    console.log("\n👋 Shutting down...");
+    server.close();
+    await debouncer.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main();